@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+
+/**
+ * CycleScope Secular - Command Line Interface
+ *
+ * Usage:
+ *   node src/cli.js backfill --from 2025-01-01 --to 2025-03-31 [--delay 60000] [--retries 1] [--force] [--ensemble]
+ *   node src/cli.js replay --date 2025-01-02
+ *   node src/cli.js replay --from 2025-01-01 --to 2025-03-31
+ *   node src/cli.js migrate [--drop-legacy-scenario-columns]
+ */
+
+import { parseArgs } from 'util';
+import { config } from './config.js';
+import { database } from './services/database.js';
+import { replayAnalysis, runPipeline } from './services/pipeline.js';
+import { getSourcesForDate } from './services/chart-sources/index.js';
+import { getAsOfDate, isDateFormat } from './utils/date.js';
+import { fileExists } from './utils/storage.js';
+import { listTradingDays } from './utils/market-calendar.js';
+
+const USAGE = `Usage:
+  node src/cli.js backfill --from YYYY-MM-DD --to YYYY-MM-DD [options]
+
+Backfill options:
+  --from      First date to backfill (inclusive)
+  --to        Last date to backfill (inclusive, defaults to the as-of date)
+  --delay     Milliseconds to wait between days (default ${config.backfill.delay})
+  --retries   Extra attempts per failed day (default ${config.backfill.retries})
+  --force     Re-run days that already have an analysis and chart, with a fresh analysis
+  --ensemble  Merge the analyses of every ENSEMBLE_MEMBERS model (default ENSEMBLE_ENABLED)
+
+  node src/cli.js replay --date YYYY-MM-DD
+  node src/cli.js replay --from YYYY-MM-DD [--to YYYY-MM-DD]
+
+Rebuilds secular_analysis rows from archived analysis responses, without calling OpenAI.
+
+  node src/cli.js migrate [--drop-legacy-scenario-columns]
+
+Runs the database migrations (same as POST /migrate), e.g. copying the original
+scenario1_* .. scenario4_* columns into secular_scenarios. --drop-legacy-scenario-columns
+then drops those columns; builds from before secular_scenarios cannot save analyses afterwards.`;
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Check whether a date already has a secular_analysis row and a stored chart
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<boolean>} True if the date is complete
+ */
+async function isDateComplete(date) {
+  const record = await database.getAnalysisByDate(date);
+  return Boolean(record) && await fileExists('original_chart.png', date);
+}
+
+/**
+ * Run the pipeline for every trading day in a range that is not complete yet
+ * Failed days are retried with exponential backoff and do not stop the batch;
+ * re-running the same command resumes with the days still missing. Days no chart source can
+ * capture are reported without running the pipeline.
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<boolean>} True if every day succeeded or was already complete
+ */
+async function backfill(options) {
+  const from = options.from;
+  const to = options.to || getAsOfDate();
+  const delay = options.delay !== undefined ? parseInt(options.delay, 10) : config.backfill.delay;
+  const retries = options.retries !== undefined ? parseInt(options.retries, 10) : config.backfill.retries;
+
+  if (!from || !isDateFormat(from) || !isDateFormat(to) || from > to) {
+    throw new Error('--from and --to must be YYYY-MM-DD dates with from <= to');
+  }
+  if (!Number.isInteger(delay) || delay < 0 || !Number.isInteger(retries) || retries < 0) {
+    throw new Error('--delay and --retries must be non-negative integers');
+  }
+
+  const dates = listTradingDays(from, to);
+  console.log(`[Backfill] ${dates.length} trading days between ${from} and ${to}`);
+
+  const summary = { succeeded: [], skipped: [], unsupported: [], failed: [] };
+  let ranPipeline = false;
+
+  for (const date of dates) {
+    if (!options.force && await isDateComplete(date)) {
+      console.log(`[Backfill] ${date}: already complete, skipping`);
+      summary.skipped.push(date);
+      continue;
+    }
+
+    if (getSourcesForDate(date).length === 0) {
+      console.warn(`[Backfill] ${date}: no chart source in ${config.chartSources.order.join(',')} can capture it, skipping`);
+      summary.unsupported.push(date);
+      continue;
+    }
+
+    let run = null;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      // Rate limit: pause before every pipeline run except the first
+      if (ranPipeline) {
+        const wait = delay * 2 ** attempt;
+        console.log(`[Backfill] Waiting ${wait}ms...`);
+        await sleep(wait);
+      }
+      ranPipeline = true;
+
+      console.log(`[Backfill] ${date}: attempt ${attempt + 1}/${retries + 1}`);
+      run = await runPipeline(date, {
+        triggeredBy: 'cli-backfill',
+        force: options.force,
+        ensemble: options.ensemble || config.ensemble.enabled
+      });
+
+      if (run.status === 'succeeded') {
+        break;
+      }
+      console.error(`[Backfill] ${date}: job ${run.id} failed: ${run.error}`);
+    }
+
+    if (run.status === 'succeeded') {
+      console.log(`[Backfill] ${date}: done (job ${run.id})`);
+      summary.succeeded.push(date);
+    } else {
+      summary.failed.push(date);
+    }
+  }
+
+  console.log('');
+  console.log('='.repeat(80));
+  console.log(`Succeeded: ${summary.succeeded.length}`);
+  console.log(`Skipped:   ${summary.skipped.length}`);
+  console.log(`No source: ${summary.unsupported.length}${summary.unsupported.length > 0 ? ' (set STOCKCHARTS_HISTORICAL_CHART_URL to capture past days)' : ''}`);
+  console.log(`Failed:    ${summary.failed.length}${summary.failed.length > 0 ? ` (${summary.failed.join(', ')})` : ''}`);
+  console.log('='.repeat(80));
+
+  return summary.failed.length === 0 && summary.unsupported.length === 0;
+}
+
+/**
+ * Rebuild secular_analysis rows from archived analysis responses
+ * Days without an archive (weekends are never listed; carried-forward days have none) are skipped.
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<boolean>} True if every archived day was rebuilt
+ */
+async function replay(options) {
+  const from = options.date || options.from;
+  const to = options.date || options.to || from;
+
+  if (!from || !isDateFormat(from) || !isDateFormat(to) || from > to) {
+    throw new Error('--date, or --from and --to, must be YYYY-MM-DD dates with from <= to');
+  }
+
+  const summary = { replayed: [], skipped: [], failed: [] };
+
+  for (const date of listTradingDays(from, to)) {
+    try {
+      const result = await replayAnalysis(date);
+
+      if (!result) {
+        console.log(`[Replay] ${date}: no archived response, skipping`);
+        summary.skipped.push(date);
+        continue;
+      }
+
+      const { analysis, savedRecord } = result;
+      console.log(`[Replay] ${date}: rebuilt record ${savedRecord.id} (${analysis.warnings.length} warnings)`);
+      summary.replayed.push(date);
+    } catch (error) {
+      console.error(`[Replay] ${date}: ${error.message}`);
+      summary.failed.push(date);
+    }
+  }
+
+  console.log('');
+  console.log('='.repeat(80));
+  console.log(`Replayed:  ${summary.replayed.length}`);
+  console.log(`Skipped:   ${summary.skipped.length}`);
+  console.log(`Failed:    ${summary.failed.length}${summary.failed.length > 0 ? ` (${summary.failed.join(', ')})` : ''}`);
+  console.log('='.repeat(80));
+
+  return summary.failed.length === 0;
+}
+
+/**
+ * Run the database migrations and, if requested, drop the legacy scenario columns
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<boolean>} True if the migrations succeeded
+ */
+async function migrate(options) {
+  const result = await database.migrate();
+  console.log(`[Migrate] ${result.message}`);
+
+  if (options['drop-legacy-scenario-columns']) {
+    const dropped = await database.dropLegacyScenarioColumns();
+    console.log(`[Migrate] ${dropped > 0 ? `Dropped ${dropped} legacy scenario columns` : 'No legacy scenario columns to drop'}`);
+  }
+
+  return true;
+}
+
+async function main() {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+      date: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      delay: { type: 'string' },
+      retries: { type: 'string' },
+      force: { type: 'boolean', default: false },
+      ensemble: { type: 'boolean', default: false },
+      'drop-legacy-scenario-columns': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const [command] = positionals;
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+
+  let ok;
+  try {
+    await database.initialize();
+
+    if (command === 'backfill') {
+      ok = await backfill(values);
+    } else if (command === 'replay') {
+      ok = await replay(values);
+    } else if (command === 'migrate') {
+      ok = await migrate(values);
+    } else {
+      console.error(`Unknown command: ${command}`);
+      console.error(USAGE);
+      ok = false;
+    }
+  } catch (error) {
+    console.error(`[CLI] ${error.message}`);
+    ok = false;
+  } finally {
+    await database.close();
+  }
+
+  process.exit(ok ? 0 : 1);
+}
+
+main();
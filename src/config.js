@@ -9,6 +9,9 @@ const rootDir = join(__dirname, '..');
 
 dotenv.config({ path: join(rootDir, '.env') });
 
+// Mock mode swaps OpenAI, Gemini and chart capture for local fixtures
+const mockMode = process.env.MOCK_MODE === 'true';
+
 /**
  * Application configuration
  */
@@ -16,25 +19,234 @@ export const config = {
   // StockCharts (replaced TradingView due to login issues)
   stockcharts: {
     chartUrl: process.env.STOCKCHARTS_CHART_URL || 'https://schrts.co/UFNDiHPE',
+    // Chart URL with a {date} placeholder for the end-date parameter, used for past dates
+    historicalChartUrl: process.env.STOCKCHARTS_HISTORICAL_CHART_URL || null,
     waitTime: 10000, // 10 seconds for chart to fully load
+    viewport: {
+      width: 1920,
+      height: 1080
+    },
+    // 'auto' detects the chart box from the DOM, then from the screenshot borders;
+    // any other value names a fixed crop in cropProfiles
+    cropProfile: process.env.STOCKCHARTS_CROP_PROFILE || 'auto',
+    chartSelector: 'canvas, img',
+    minChartWidth: 400,
+    minChartHeight: 300,
+    cropProfiles: {
+      // Original hard-coded crop for the 1920x1080 SharpCharts layout
+      'sharpcharts-1920': { left: 10, top: 145, width: 1100, height: 555 }
+    }
+  },
+
+  // TradingView (fallback chart source)
+  tradingview: {
+    chartUrl: process.env.TRADINGVIEW_CHART_URL || null,
+    username: process.env.TRADINGVIEW_USERNAME,
+    password: process.env.TRADINGVIEW_PASSWORD,
+    waitTime: 10000, // 10 seconds for chart to fully render
     viewport: {
       width: 1920,
       height: 1080
     }
   },
 
+  // Chart sources, tried in order until one returns a valid image
+  chartSources: {
+    order: (mockMode ? 'fixtures' : process.env.CHART_SOURCES || 'stockcharts,tradingview')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean),
+    attempts: 3, // per source
+    retryDelay: 5000 // 5s, 10s, 20s, ...
+  },
+
+  // Skip re-analysis when the chart has not materially changed since the previous trading day
+  changeDetection: {
+    enabled: process.env.CHANGE_DETECTION_ENABLED !== 'false',
+    threshold: parseInt(process.env.CHANGE_DETECTION_THRESHOLD || '4', 10) // max differing bits of 64
+  },
+
+  // Capture validation (rejected images are kept in /data/YYYY-MM-DD/rejected/)
+  chartValidation: {
+    minBytes: 10000,
+    minWidth: 400,
+    minHeight: 300,
+    maxWidth: 4000,
+    maxHeight: 4000,
+    minStdev: 8, // below this the image is nearly blank
+    maxDominantColorRatio: 0.98, // above this the image is almost a single colour
+    blockedText: [
+      'accept all cookies',
+      'we use cookies',
+      'sign in to continue',
+      'log in to continue',
+      'page not found',
+      'access denied',
+      'something went wrong',
+      'service unavailable',
+      'too many requests'
+    ]
+  },
+
+  // Consistency checks on each analysis (violations are stored as warnings)
+  analysisChecks: {
+    probabilitySumTolerance: 0.02 // scenario probabilities must sum to 1 within this
+  },
+
+  // Previous-analysis context: summarize the last N fresh analyses in the prompt and ask the
+  // model to report which scenarios changed and why (layer2.scenario_analysis.scenario_changes)
+  analysisContext: {
+    enabled: process.env.ANALYSIS_CONTEXT_ENABLED === 'true',
+    days: parseInt(process.env.ANALYSIS_CONTEXT_DAYS || '5', 10)
+  },
+
   // OpenAI
   openai: {
     apiKey: process.env.OPENAI_API_KEY,
-    assistantId: process.env.OPENAI_ASSISTANT_ID || 'asst_Avw3WLDShSyQbeSQgscnuhqu',
-    timeout: 120000, // 2 minutes
+    // Analysis provider: 'assistants' (Threads/Runs with assistantId) or
+    // 'chat-completions' (single vision call with src/prompts/secular-analysis.md)
+    provider: mockMode ? 'mock' : process.env.OPENAI_PROVIDER || 'assistants',
+    model: process.env.OPENAI_MODEL || 'gpt-4o', // used by 'chat-completions'
+    assistantId: process.env.OPENAI_ASSISTANT_ID || 'asst_Avw3WLDShSyQbeSQgscnuhqu', // used by 'assistants'
+    timeout: parseInt(process.env.OPENAI_TIMEOUT_MS || '120000', 10), // per API call, 2 minutes
     pollingInterval: 2000 // 2 seconds
   },
 
+  // Multi-model ensemble: run the chart through several providers/models and store the consensus.
+  // Members are "provider" or "provider:model", e.g. "chat-completions:gpt-4o,chat-completions:gpt-4.1,assistants"
+  ensemble: {
+    enabled: process.env.ENSEMBLE_ENABLED === 'true', // default for every run; ?ensemble=true per request
+    members: (process.env.ENSEMBLE_MEMBERS || '')
+      .split(',')
+      .map(member => member.trim())
+      .filter(Boolean)
+      .map(member => {
+        const [provider, ...model] = member.split(':');
+        return { provider, model: model.join(':') || null };
+      }),
+    minMembers: 2 // successful members needed for a consensus
+  },
+
+  // Localized Layer 3: after each fresh analysis the analysis provider translates
+  // scenario_summary and primary_message into every locale, using src/prompts/glossaries/<locale>.json.
+  // Opt-in: no locales unless TRANSLATION_LOCALES is set (each locale costs one extra call per day)
+  localization: {
+    locales: (process.env.TRANSLATION_LOCALES || '')
+      .split(',')
+      .map(locale => locale.trim())
+      .filter(Boolean),
+    languages: {
+      'zh-TW': 'Traditional Chinese as used in Taiwan'
+    },
+    // Overlay fonts per locale (must cover the script; the default font has no CJK glyphs)
+    fonts: {
+      'zh-TW': 'Noto Sans CJK TC, Noto Sans TC, WenQuanYi Zen Hei, PingFang TC, Microsoft JhengHei, sans-serif'
+    },
+    glossaryDir: join(rootDir, 'src', 'prompts', 'glossaries')
+  },
+
   // Gemini
   gemini: {
     apiKey: process.env.GEMINI_API_KEY,
-    timeout: 60000 // 1 minute
+    timeout: parseInt(process.env.GEMINI_TIMEOUT_MS || '60000', 10) // per API call, 1 minute
+  },
+
+  // Token and image prices in USD (per 1M tokens, per generated image), matched by model name prefix.
+  // AI_PRICES_JSON overrides or extends entries, e.g. {"gpt-4o":{"input":2.5,"output":10}}
+  pricing: {
+    models: {
+      'gpt-4o-mini': { input: 0.15, output: 0.6 },
+      'gpt-4o': { input: 2.5, output: 10 },
+      'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+      'gpt-4.1': { input: 2, output: 8 },
+      'gemini-3-pro-image-preview': { input: 2, output: 0, image: 0.134 },
+      mock: { input: 0, output: 0 },
+      ...JSON.parse(process.env.AI_PRICES_JSON || '{}')
+    },
+    // Non-forced analyses are refused once this month's spend reaches the budget (0 = no limit)
+    monthlyBudget: parseFloat(process.env.MONTHLY_BUDGET_USD || '0')
+  },
+
+  // Chart annotation: 'gemini' (generative redraw) or 'local' (deterministic sharp + SVG box).
+  // With fallback on, a failed Gemini annotation is redrawn locally.
+  annotation: {
+    annotator: process.env.ANNOTATOR || (mockMode ? 'local' : 'gemini'),
+    fallback: process.env.ANNOTATION_FALLBACK !== 'false',
+    position: process.env.ANNOTATION_POSITION || 'top-right', // top-left, top-right, bottom-left, bottom-right
+    fontSize: parseInt(process.env.ANNOTATION_FONT_SIZE || '14', 10),
+    theme: process.env.ANNOTATION_THEME || 'dark',
+    fontFamily: 'DejaVu Sans, Arial, Helvetica, sans-serif',
+    padding: 12,
+    margin: 12, // distance from the image edges
+    maxWidthRatio: 0.45, // of the chart width; longer lines wrap
+    themes: {
+      dark: { background: '#000000', backgroundOpacity: 0.7, text: '#ffffff', border: '#ffffff', borderOpacity: 0.25 },
+      light: { background: '#ffffff', backgroundOpacity: 0.85, text: '#111111', border: '#000000', borderOpacity: 0.25 }
+    },
+    // Named output variants (GET /charts/:date/annotated/:template), always drawn locally.
+    // Each overrides the settings above; content is 'full' or 'primary_message', and width/height
+    // resize the chart first (fit: 'contain' pads with the theme background, 'cover' crops).
+    templates: {
+      dark: { theme: 'dark' },
+      light: { theme: 'light' },
+      mobile: { theme: 'dark', content: 'primary_message', width: 1080, position: 'bottom-left', fontSize: 30, maxWidthRatio: 0.92 },
+      social: { theme: 'dark', width: 1200, height: 630, fit: 'cover', position: 'bottom-left', fontSize: 16, maxWidthRatio: 0.6 },
+      ...JSON.parse(process.env.ANNOTATION_TEMPLATES_JSON || '{}')
+    }
+  },
+
+  // Pixel-integrity check of Gemini annotations (src/services/annotation-verifier.js)
+  annotationIntegrity: {
+    enabled: process.env.ANNOTATION_INTEGRITY_ENABLED !== 'false',
+    action: process.env.ANNOTATION_INTEGRITY_ACTION || 'flag', // 'reject' redraws the chart locally
+    maxChangedRatio: parseFloat(process.env.ANNOTATION_MAX_CHANGED_RATIO || '0.01'), // of pixels outside the overlay box
+    pixelThreshold: 48, // greyscale difference (0-255) for a pixel to count as changed
+    cellSize: 16, // grid used to locate the overlay box
+    cellThreshold: 0.2, // share of changed pixels for a cell to belong to the box
+    maxBoxRatio: 0.35, // largest share of the image the overlay box may cover
+    minBoxFill: 0.6, // share of the box's bounding cells that must have changed
+    boxMargin: 8
+  },
+
+  // Price-axis calibration of the chart image (src/utils/price-axis.js). With 2+ points the
+  // mapping is read from config; otherwise tick labels are detected in the axis strip and
+  // matched, top to bottom, to the tick values.
+  priceAxis: {
+    scale: process.env.PRICE_AXIS_SCALE || 'log', // log or linear
+    points: JSON.parse(process.env.PRICE_AXIS_POINTS || '[]'), // [{"y": 120, "price": 5000}, ...]
+    ticks: (process.env.PRICE_AXIS_TICKS || '')
+      .split(',')
+      .map(value => parseFloat(value.trim()))
+      .filter(value => Number.isFinite(value)),
+    stripRight: parseInt(process.env.PRICE_AXIS_STRIP_RIGHT || '0', 10), // px between the label strip and the right edge
+    stripWidth: parseInt(process.env.PRICE_AXIS_STRIP_WIDTH || '70', 10),
+    maxResidual: 3, // px RMS error for a detected calibration to be accepted
+    gridlineSnap: 4 // px a label centre may move to the nearest gridline
+  },
+
+  // Scenario target zones drawn on zones_chart.png (src/services/zones-annotator.js)
+  zones: {
+    enabled: process.env.ZONES_ENABLED !== 'false',
+    lowColor: '#3b82f6', // probability 0
+    highColor: '#ef4444', // probability 1
+    minOpacity: 0.12,
+    maxOpacity: 0.4,
+    fontSize: 13
+  },
+
+  // Mock mode (fixtures instead of OpenAI, Gemini and chart capture; Postgres is still used)
+  mock: {
+    enabled: mockMode,
+    fixturesDir: process.env.MOCK_FIXTURES_DIR || join(rootDir, 'fixtures')
+  },
+
+  // Retries and circuit breaker for OpenAI and Gemini calls (src/utils/resilience.js)
+  resilience: {
+    retries: 3, // per call, on 429, 5xx, timeouts and network errors
+    retryDelay: 2000, // 2s, 4s, 8s (or the Retry-After header)
+    maxRetryDelay: 30000,
+    failureThreshold: 5, // failed calls in a row before the circuit opens
+    resetTimeout: 300000 // 5 minutes before a trial call is let through
   },
 
   // Database
@@ -48,6 +260,29 @@ export const config = {
     retentionDays: parseInt(process.env.RETENTION_DAYS || '30', 10)
   },
 
+  // Backfill CLI (node src/cli.js backfill)
+  backfill: {
+    delay: parseInt(process.env.BACKFILL_DELAY_MS || '60000', 10), // pause between days
+    retries: 1 // extra attempts per day, with exponential backoff
+  },
+
+  // Market calendar (all dates are resolved in this timezone)
+  market: {
+    timezone: process.env.MARKET_TIMEZONE || 'America/New_York',
+    openTime: '09:30', // HH:MM market time
+    closeTime: '16:00' // HH:MM market time
+  },
+
+  // Scheduler (runs the pipeline after the US close on NYSE trading days)
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED === 'true',
+    runTime: process.env.SCHEDULER_RUN_TIME || '16:30', // HH:MM market time, after the 16:00 close
+    checkInterval: 60000, // 1 minute
+    catchUpDays: parseInt(process.env.SCHEDULER_CATCH_UP_DAYS || '5', 10),
+    maxAttempts: 3,
+    retryDelay: 1800000 // 30 minutes
+  },
+
   // Server
   server: {
     port: parseInt(process.env.PORT || '3000', 10)
@@ -64,16 +299,60 @@ export function validateConfig() {
     errors.push('STOCKCHARTS_CHART_URL is required');
   }
 
-  if (!config.openai.apiKey) {
-    errors.push('OPENAI_API_KEY is required');
+  if (!config.mock.enabled) {
+    if (!config.openai.apiKey) {
+      errors.push('OPENAI_API_KEY is required');
+    }
+
+    if (config.openai.provider === 'assistants' && !config.openai.assistantId) {
+      errors.push('OPENAI_ASSISTANT_ID is required when OPENAI_PROVIDER=assistants');
+    }
+
+    if (config.annotation.annotator === 'gemini' && !config.gemini.apiKey) {
+      errors.push('GEMINI_API_KEY is required when ANNOTATOR=gemini');
+    }
+  }
+
+  if (!['gemini', 'local'].includes(config.annotation.annotator)) {
+    errors.push('ANNOTATOR must be gemini or local');
+  }
+
+  if (!['top-left', 'top-right', 'bottom-left', 'bottom-right'].includes(config.annotation.position)) {
+    errors.push('ANNOTATION_POSITION must be top-left, top-right, bottom-left or bottom-right');
+  }
+
+  if (!config.annotation.themes[config.annotation.theme]) {
+    errors.push(`ANNOTATION_THEME must be one of: ${Object.keys(config.annotation.themes).join(', ')}`);
+  }
+
+  for (const [name, template] of Object.entries(config.annotation.templates)) {
+    if (template.theme && !config.annotation.themes[template.theme]) {
+      errors.push(`Annotation template "${name}" uses unknown theme "${template.theme}"`);
+    }
+    if (template.position && !['top-left', 'top-right', 'bottom-left', 'bottom-right'].includes(template.position)) {
+      errors.push(`Annotation template "${name}" has an invalid position "${template.position}"`);
+    }
+    if (template.content && !['full', 'primary_message'].includes(template.content)) {
+      errors.push(`Annotation template "${name}" content must be full or primary_message`);
+    }
+  }
+
+  if (!['flag', 'reject'].includes(config.annotationIntegrity.action)) {
+    errors.push('ANNOTATION_INTEGRITY_ACTION must be flag or reject');
+  }
+
+  for (const locale of config.localization.locales) {
+    if (!config.localization.languages[locale]) {
+      errors.push(`TRANSLATION_LOCALES: unsupported locale "${locale}" (supported: ${Object.keys(config.localization.languages).join(', ')})`);
+    }
   }
 
-  if (!config.openai.assistantId) {
-    errors.push('OPENAI_ASSISTANT_ID is required');
+  if (!['log', 'linear'].includes(config.priceAxis.scale)) {
+    errors.push('PRICE_AXIS_SCALE must be log or linear');
   }
 
-  if (!config.gemini.apiKey) {
-    errors.push('GEMINI_API_KEY is required');
+  if (config.priceAxis.points.some(point => !Number.isFinite(point?.y) || !(point?.price > 0))) {
+    errors.push('PRICE_AXIS_POINTS must be a JSON array of {"y": <px>, "price": <positive number>}');
   }
 
   if (!config.database.url) {
@@ -4,23 +4,30 @@
  * CycleScope Secular - Main Entry Point
  * 
  * This is a simple health check server for Railway deployment.
- * The actual chart download will be triggered by GitHub Actions.
+ * Pipeline runs are triggered by the built-in scheduler (SCHEDULER_ENABLED=true)
+ * or externally via POST /pipeline.
  */
 
 import http from 'http';
 import fs from 'fs';
 import { config } from './config.js';
-import { downloadStockChart } from './services/stockcharts-downloader.js';
-import { getCurrentDate } from './utils/date.js';
-import { OpenAIAssistant } from './services/openai-assistant.js';
+import { downloadChart } from './services/chart-sources/index.js';
+import { getAsOfDate, getDateDaysAgo, isDateFormat } from './utils/date.js';
+import { getFilePath } from './utils/storage.js';
 import { database } from './services/database.js';
-import { geminiAnnotator } from './services/gemini-annotator.js';
+import { analyzeAndSave, isPipelineRunning, startPipeline } from './services/pipeline.js';
+import { scheduler } from './services/scheduler.js';
+import { getCircuitStatus } from './utils/resilience.js';
+import { getBudgetStatus } from './services/usage.js';
+import { getAnnotationVariant, getTemplateNames, getVariantFilename } from './services/annotation-variants.js';
+import { localizeRecord, resolveLocale } from './services/translation.js';
 
 const PORT = process.env.PORT || 3000;
 
 // Initialize database on startup
 try {
   await database.initialize();
+  await database.failInterruptedPipelineRuns();
   console.log('[Server] Database initialized');
 } catch (error) {
   console.error('[Server] Database initialization failed:', error);
@@ -33,7 +40,8 @@ let downloadStatus = {
   lastEndTime: null,
   lastSuccess: null,
   lastError: null,
-  lastFilePath: null
+  lastFilePath: null,
+  lastSource: null
 };
 
 /**
@@ -48,14 +56,15 @@ async function runDownloadInBackground(date) {
   console.log(`[Background] Starting chart download for date: ${date}`);
   
   try {
-    const filePath = await downloadStockChart(date);
+    const { filePath, source } = await downloadChart(date);
     
     downloadStatus.isRunning = false;
     downloadStatus.lastEndTime = new Date().toISOString();
     downloadStatus.lastSuccess = true;
     downloadStatus.lastFilePath = filePath;
+    downloadStatus.lastSource = source;
     
-    console.log(`[Background] Chart downloaded successfully: ${filePath}`);
+    console.log(`[Background] Chart downloaded successfully from ${source}: ${filePath}`);
   } catch (error) {
     downloadStatus.isRunning = false;
     downloadStatus.lastEndTime = new Date().toISOString();
@@ -66,6 +75,85 @@ async function runDownloadInBackground(date) {
   }
 }
 
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} body - Response body (timestamp is added automatically)
+ */
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    ...body,
+    timestamp: new Date().toISOString()
+  }));
+}
+
+/**
+ * Send a chart PNG stored under /data/YYYY-MM-DD/
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} filename - File name inside the date directory
+ * @param {string} downloadName - File name reported in Content-Disposition
+ */
+function sendChart(res, date, filename, downloadName) {
+  const filePath = getFilePath(filename, date);
+
+  if (!fs.existsSync(filePath)) {
+    sendJson(res, 404, {
+      success: false,
+      message: `No ${filename} available for ${date}`
+    });
+    return;
+  }
+
+  const fileContent = fs.readFileSync(filePath);
+
+  res.writeHead(200, {
+    'Content-Type': 'image/png',
+    'Content-Disposition': `inline; filename="${downloadName}"`,
+    'Content-Length': fileContent.length
+  });
+  res.end(fileContent);
+}
+
+/**
+ * Parse a non-negative integer query parameter
+ * Only plain digits are accepted, so "5abc", "-1" and "1e3" are rejected instead of truncated.
+ * @param {string|null} value - Parameter value
+ * @param {number} defaultValue - Value when the parameter is absent or empty
+ * @returns {number} Parsed value, or NaN if it is not a non-negative integer
+ */
+function parseCountParam(value, defaultValue) {
+  if (value === null || value === '') {
+    return defaultValue;
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+}
+
+/**
+ * Resolve the ?lang= query parameter to a locale
+ * Sends a 400 response for an unsupported language.
+ * @param {http.ServerResponse} res - Response
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @returns {string|null} 'en' (also when lang is absent) or a configured locale; null if a response was sent
+ */
+function getRequestedLocale(res, searchParams) {
+  const lang = searchParams.get('lang');
+  if (!lang) {
+    return 'en';
+  }
+
+  const locale = resolveLocale(lang);
+  if (!locale) {
+    sendJson(res, 400, {
+      success: false,
+      message: `Unsupported language "${lang}" (supported: ${['en', ...config.localization.locales].join(', ')}; add locales with TRANSLATION_LOCALES)`
+    });
+  }
+  return locale;
+}
+
 // Simple health check server
 const server = http.createServer(async (req, res) => {
   // Add CORS headers to all responses
@@ -88,6 +176,20 @@ const server = http.createServer(async (req, res) => {
     res.end();
     return;
   }
+
+  // Fixed base: the Host header is client-controlled and must not be able to break URL parsing
+  let pathname, searchParams;
+  try {
+    ({ pathname, searchParams } = new URL(req.url, 'http://localhost'));
+  } catch {
+    sendJson(res, 400, { success: false, message: 'Malformed request URL' });
+    return;
+  }
+  const analysisDateMatch = pathname.match(/^\/analysis\/([^/]+)$/);
+  const chartDateMatch = pathname.match(/^\/charts\/([^/]+)\/(original|annotated|zones)$/);
+  const chartVariantMatch = pathname.match(/^\/charts\/([^/]+)\/annotated\/([^/]+)$/);
+  const jobIdMatch = pathname.match(/^\/jobs\/([^/]+)$/);
+
   // Health check endpoint
   if (req.url === '/health' || req.url === '/') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -98,9 +200,20 @@ const server = http.createServer(async (req, res) => {
       config: {
         dataDir: config.storage.dataDir,
         retentionDays: config.storage.retentionDays,
-        chartUrl: config.stockcharts.chartUrl
+        chartUrl: config.stockcharts.chartUrl,
+        chartSources: config.chartSources.order,
+        analysisProvider: config.openai.provider,
+        ensemble: {
+          enabled: config.ensemble.enabled,
+          members: config.ensemble.members.map(member => (member.model ? `${member.provider}:${member.model}` : member.provider))
+        },
+        annotationTemplates: getTemplateNames(),
+        translationLocales: config.localization.locales,
+        mockMode: config.mock.enabled
       },
-      downloadStatus: downloadStatus
+      downloadStatus: downloadStatus,
+      scheduler: scheduler.getStatus(),
+      circuits: getCircuitStatus(['openai', 'gemini'])
     }));
   }
   // Download status endpoint
@@ -127,7 +240,7 @@ const server = http.createServer(async (req, res) => {
       return;
     }
     
-    const date = getCurrentDate();
+    const date = getAsOfDate();
     
     // Start download in background (don't await)
     runDownloadInBackground(date).catch(err => {
@@ -150,7 +263,7 @@ const server = http.createServer(async (req, res) => {
     console.log('[API] Download-file request received');
     
     try {
-      const date = getCurrentDate();
+      const date = getAsOfDate();
       
       // Check if download is already running
       if (downloadStatus.isRunning) {
@@ -165,8 +278,8 @@ const server = http.createServer(async (req, res) => {
       
       console.log(`[API] Starting chart download for date: ${date}`);
       
-      // Download chart from StockCharts (this will take ~10-15 seconds)
-      const filePath = await downloadStockChart(date);
+      // Download chart from the configured sources (this will take ~10-15 seconds)
+      const { filePath } = await downloadChart(date);
       
       console.log(`[API] Chart downloaded successfully: ${filePath}`);
       console.log(`[API] Reading file to send to client...`);
@@ -195,12 +308,21 @@ const server = http.createServer(async (req, res) => {
     }
   }
   // Analyze chart with OpenAI Assistant and save to database
-  else if (req.url === '/analyze' && req.method === 'POST') {
+  else if (pathname === '/analyze' && req.method === 'POST') {
     console.log('[API] Analyze request received');
+
+    // A pipeline run analyzes and saves the same day; running both would race on the upsert
+    if (isPipelineRunning()) {
+      sendJson(res, 409, {
+        success: false,
+        message: 'Pipeline already in progress'
+      });
+      return;
+    }
     
     try {
-      const date = getCurrentDate();
-      const chartPath = `${config.storage.dataDir}/${date}/original_chart.png`;
+      const date = getAsOfDate();
+      const chartPath = getFilePath('original_chart.png', date);
       
       // Check if chart exists
       if (!fs.existsSync(chartPath)) {
@@ -215,40 +337,25 @@ const server = http.createServer(async (req, res) => {
       
       console.log(`[API] Analyzing chart: ${chartPath}`);
       
-      // Analyze with OpenAI Assistant
-      const assistant = new OpenAIAssistant();
-      const analysis = await assistant.analyze(chartPath, date);
-      
-      console.log('[API] Analysis complete, saving to database...');
-      
-      // Add file path to analysis
-      analysis.original_chart_url = chartPath;
-      
-      // Annotate chart with Gemini
-      console.log('[API] Annotating chart with Gemini...');
-      const annotatedPath = `${config.storage.dataDir}/${date}/annotated_chart.png`;
-      
-      try {
-        await geminiAnnotator.annotateChart(chartPath, annotatedPath, analysis.layer3);
-        analysis.annotated_chart_url = annotatedPath;
-        console.log('[API] Chart annotation complete');
-      } catch (error) {
-        console.error('[API] Chart annotation failed:', error);
-        // Continue without annotation
-        analysis.annotated_chart_url = null;
-      }
-      
-      // Save to database
-      const savedRecord = await database.saveAnalysis(analysis);
+      // Analyze with OpenAI Assistant, annotate with Gemini and save to database
+      // (or carry forward the previous analysis if the chart is unchanged, unless ?force=true)
+      const force = searchParams.get('force') === 'true';
+      const ensemble = searchParams.has('ensemble') ? searchParams.get('ensemble') === 'true' : config.ensemble.enabled;
+      const { analysis, savedRecord, carriedForward } = await analyzeAndSave(date, { force, ensemble });
       
       console.log(`[API] Analysis saved to database (ID: ${savedRecord.id})`);
       
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({
         success: true,
-        message: 'Analysis complete and saved to database',
+        message: carriedForward
+          ? `Chart unchanged, analysis carried forward from ${analysis.carried_forward_from}`
+          : 'Analysis complete and saved to database',
         date: date,
         recordId: savedRecord.id,
+        carriedForward: carriedForward,
+        warnings: analysis.warnings,
+        disagreementScore: analysis.disagreement_score ?? null,
         analysis: {
           layer1: analysis.layer1,
           layer2: analysis.layer2,
@@ -259,7 +366,8 @@ const server = http.createServer(async (req, res) => {
     } catch (error) {
       console.error('[API] Analyze failed:', error);
       
-      res.writeHead(500, { 'Content-Type': 'application/json' });
+      // 402 when the monthly AI budget refused the run
+      res.writeHead(error.code === 'BUDGET_EXCEEDED' ? 402 : 500, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({
         success: false,
         error: error.message,
@@ -268,8 +376,121 @@ const server = http.createServer(async (req, res) => {
       }));
     }
   }
+  // Run the full pipeline (download -> analyze -> annotate -> save) as a tracked job
+  else if (pathname === '/pipeline' && req.method === 'POST') {
+    console.log('[API] Pipeline request received');
+
+    const date = getAsOfDate();
+
+    if (isPipelineRunning()) {
+      sendJson(res, 409, {
+        success: false,
+        message: 'Pipeline already in progress'
+      });
+      return;
+    }
+
+    try {
+      const force = searchParams.get('force') === 'true';
+      const ensemble = searchParams.has('ensemble') ? searchParams.get('ensemble') === 'true' : config.ensemble.enabled;
+      const { run, done } = await startPipeline(date, { triggeredBy: 'api', force, ensemble });
+
+      done.catch(err => {
+        console.error('[Background] Unexpected pipeline error:', err);
+      });
+
+      sendJson(res, 202, {
+        success: true,
+        message: 'Pipeline started in background',
+        date: date,
+        jobId: run.id,
+        statusUrl: `/jobs/${run.id}`
+      });
+    } catch (error) {
+      console.error('[API] Pipeline start failed:', error);
+      sendJson(res, 500, {
+        success: false,
+        error: error.message
+      });
+    }
+  }
+  // List pipeline jobs
+  else if (pathname === '/jobs' && req.method === 'GET') {
+    const limit = parseCountParam(searchParams.get('limit'), 20);
+    const offset = parseCountParam(searchParams.get('offset'), 0);
+    const status = searchParams.get('status') || undefined;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100 || !Number.isInteger(offset) || offset < 0) {
+      sendJson(res, 400, {
+        success: false,
+        message: 'limit must be between 1 and 100 and offset must be 0 or greater'
+      });
+      return;
+    }
+
+    try {
+      const { rows, total } = await database.listPipelineRuns({ limit, offset, status });
+
+      sendJson(res, 200, {
+        success: true,
+        jobs: rows,
+        pagination: {
+          total,
+          limit,
+          offset,
+          nextOffset: offset + rows.length < total ? offset + rows.length : null
+        }
+      });
+    } catch (error) {
+      console.error('[API] List jobs failed:', error);
+      sendJson(res, 500, {
+        success: false,
+        error: error.message
+      });
+    }
+  }
+  // Get a single pipeline job
+  else if (jobIdMatch && req.method === 'GET') {
+    const id = Number(jobIdMatch[1]);
+
+    if (!Number.isInteger(id) || id < 1) {
+      sendJson(res, 400, {
+        success: false,
+        message: `Invalid job ID "${jobIdMatch[1]}"`
+      });
+      return;
+    }
+
+    try {
+      const job = await database.getPipelineRun(id);
+
+      if (!job) {
+        sendJson(res, 404, {
+          success: false,
+          message: `Job ${id} not found`
+        });
+        return;
+      }
+
+      sendJson(res, 200, {
+        success: true,
+        job: job
+      });
+    } catch (error) {
+      console.error('[API] Get job failed:', error);
+      sendJson(res, 500, {
+        success: false,
+        error: error.message
+      });
+    }
+  }
   // Get latest analysis from database
-  else if (req.url === '/analysis/latest' && req.method === 'GET') {
+  else if (pathname === '/analysis/latest' && req.method === 'GET') {
+    const locale = getRequestedLocale(res, searchParams);
+    if (!locale) {
+      return;
+    }
+
     try {
       const record = await database.getLatestAnalysis();
       
@@ -283,10 +504,19 @@ const server = http.createServer(async (req, res) => {
         return;
       }
       
+      const localized = localizeRecord(record, locale);
+      if (!localized) {
+        sendJson(res, 404, {
+          success: false,
+          message: `No ${locale} translation of the analysis for ${record.asof_date}`
+        });
+        return;
+      }
+
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({
         success: true,
-        analysis: record,
+        analysis: localized,
         timestamp: new Date().toISOString()
       }));
     } catch (error) {
@@ -300,6 +530,207 @@ const server = http.createServer(async (req, res) => {
       }));
     }
   }
+  // AI token usage and cost per day and per month, with the monthly budget status
+  else if (pathname === '/usage' && req.method === 'GET') {
+    const from = searchParams.get('from') || getDateDaysAgo(30);
+    const to = searchParams.get('to') || getAsOfDate();
+
+    if (!isDateFormat(from) || !isDateFormat(to) || from > to) {
+      sendJson(res, 400, {
+        success: false,
+        message: 'from and to must be YYYY-MM-DD dates with from <= to'
+      });
+      return;
+    }
+
+    try {
+      const [budget, daily, monthly] = await Promise.all([
+        getBudgetStatus(),
+        database.getUsageTotals('asof_date', { from, to }),
+        database.getUsageTotals('billing_month', { from: from.slice(0, 7), to: to.slice(0, 7) })
+      ]);
+
+      sendJson(res, 200, {
+        success: true,
+        from,
+        to,
+        budget,
+        daily,
+        monthly
+      });
+    } catch (error) {
+      console.error('[API] Get usage failed:', error);
+      sendJson(res, 500, {
+        success: false,
+        error: error.message
+      });
+    }
+  }
+  // List analysis history with date range, pagination and field selection
+  else if (pathname === '/analysis' && req.method === 'GET') {
+    const from = searchParams.get('from');
+    const to = searchParams.get('to');
+    const limit = parseCountParam(searchParams.get('limit'), 30);
+    const offset = parseCountParam(searchParams.get('offset'), 0);
+    const order = (searchParams.get('order') || 'desc').toLowerCase();
+    const fields = (searchParams.get('fields') || '')
+      .split(',')
+      .map(field => field.trim())
+      .filter(Boolean);
+
+    const errors = [];
+    if (from && !isDateFormat(from)) errors.push('from must be YYYY-MM-DD');
+    if (to && !isDateFormat(to)) errors.push('to must be YYYY-MM-DD');
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) errors.push('limit must be between 1 and 100');
+    if (!Number.isInteger(offset) || offset < 0) errors.push('offset must be 0 or greater');
+    if (order !== 'asc' && order !== 'desc') errors.push('order must be asc or desc');
+
+    const { unknown } = database.resolveColumns(fields);
+    if (unknown.length > 0) errors.push(`Unknown fields: ${unknown.join(', ')}`);
+
+    if (errors.length > 0) {
+      sendJson(res, 400, {
+        success: false,
+        message: errors.join('; ')
+      });
+      return;
+    }
+
+    try {
+      const { rows, total } = await database.listAnalyses({ from, to, limit, offset, fields, order });
+
+      sendJson(res, 200, {
+        success: true,
+        analyses: rows,
+        pagination: {
+          total,
+          limit,
+          offset,
+          nextOffset: offset + rows.length < total ? offset + rows.length : null
+        }
+      });
+    } catch (error) {
+      console.error('[API] List analyses failed:', error);
+      sendJson(res, 500, {
+        success: false,
+        error: error.message
+      });
+    }
+  }
+  // Get analysis for a specific date
+  else if (analysisDateMatch && req.method === 'GET') {
+    const date = analysisDateMatch[1];
+
+    if (!isDateFormat(date)) {
+      sendJson(res, 400, {
+        success: false,
+        message: `Invalid date "${date}", expected YYYY-MM-DD`
+      });
+      return;
+    }
+
+    const locale = getRequestedLocale(res, searchParams);
+    if (!locale) {
+      return;
+    }
+
+    try {
+      const record = await database.getAnalysisByDate(date);
+
+      if (!record) {
+        sendJson(res, 404, {
+          success: false,
+          message: `No analysis found for ${date}`
+        });
+        return;
+      }
+
+      const localized = localizeRecord(record, locale);
+      if (!localized) {
+        sendJson(res, 404, {
+          success: false,
+          message: `No ${locale} translation of the analysis for ${date}`
+        });
+        return;
+      }
+
+      sendJson(res, 200, {
+        success: true,
+        analysis: localized
+      });
+    } catch (error) {
+      console.error('[API] Get analysis by date failed:', error);
+      sendJson(res, 500, {
+        success: false,
+        error: error.message
+      });
+    }
+  }
+  // Get original, annotated or zones chart for a specific date
+  else if (chartDateMatch && req.method === 'GET') {
+    const [, date, variant] = chartDateMatch;
+
+    if (!isDateFormat(date)) {
+      sendJson(res, 400, {
+        success: false,
+        message: `Invalid date "${date}", expected YYYY-MM-DD`
+      });
+      return;
+    }
+
+    try {
+      if (variant === 'original') {
+        sendChart(res, date, 'original_chart.png', `chart-${date}.png`);
+      } else if (variant === 'zones') {
+        sendChart(res, date, 'zones_chart.png', `zones-chart-${date}.png`);
+      } else {
+        sendChart(res, date, 'annotated_chart.png', `annotated-chart-${date}.png`);
+      }
+    } catch (error) {
+      console.error('[API] Get chart by date failed:', error);
+      sendJson(res, 500, {
+        success: false,
+        error: error.message
+      });
+    }
+  }
+  // Get an annotated chart variant (named template) for a specific date, rendered on first request
+  else if (chartVariantMatch && req.method === 'GET') {
+    const [, date, template] = chartVariantMatch;
+
+    if (!isDateFormat(date)) {
+      sendJson(res, 400, {
+        success: false,
+        message: `Invalid date "${date}", expected YYYY-MM-DD`
+      });
+      return;
+    }
+
+    const locale = getRequestedLocale(res, searchParams);
+    if (!locale) {
+      return;
+    }
+
+    try {
+      await getAnnotationVariant(date, template, locale);
+      const suffix = locale === 'en' ? template : `${template}-${locale}`;
+      sendChart(res, date, getVariantFilename(template, locale), `annotated-chart-${date}-${suffix}.png`);
+    } catch (error) {
+      if (error.code === 'UNKNOWN_TEMPLATE' || error.code === 'NOT_FOUND') {
+        sendJson(res, 404, {
+          success: false,
+          message: error.message,
+          templates: getTemplateNames()
+        });
+        return;
+      }
+      console.error('[API] Get annotated chart variant failed:', error);
+      sendJson(res, 500, {
+        success: false,
+        error: error.message
+      });
+    }
+  }
   // Get annotated chart file (if exists)
   else if (req.url === '/annotated-chart' && req.method === 'GET') {
     try {
@@ -316,10 +747,9 @@ const server = http.createServer(async (req, res) => {
         return;
       }
       
-      // Extract date from asof_date (convert Date object to YYYY-MM-DD)
-      const asofDate = new Date(latestAnalysis.asof_date);
-      const date = asofDate.toISOString().split('T')[0];
-      const filePath = `${config.storage.dataDir}/${date}/annotated_chart.png`;
+      // asof_date is returned as a YYYY-MM-DD string (see DATE type parser in database.js)
+      const date = latestAnalysis.asof_date;
+      const filePath = getFilePath('annotated_chart.png', date);
       
       if (!fs.existsSync(filePath)) {
         res.writeHead(404, { 'Content-Type': 'application/json' });
@@ -366,10 +796,9 @@ const server = http.createServer(async (req, res) => {
         return;
       }
       
-      // Extract date from asof_date (convert Date object to YYYY-MM-DD)
-      const asofDate = new Date(latestAnalysis.asof_date);
-      const date = asofDate.toISOString().split('T')[0];
-      const filePath = `${config.storage.dataDir}/${date}/original_chart.png`;
+      // asof_date is returned as a YYYY-MM-DD string (see DATE type parser in database.js)
+      const date = latestAnalysis.asof_date;
+      const filePath = getFilePath('original_chart.png', date);
       
       if (!fs.existsSync(filePath)) {
         res.writeHead(404, { 'Content-Type': 'application/json' });
@@ -429,7 +858,7 @@ const server = http.createServer(async (req, res) => {
     res.writeHead(404, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({
       error: 'Not found',
-      message: 'Available endpoints: GET /health, GET /download-status, POST /download, POST /download-file, GET /latest-chart'
+      message: 'Available endpoints: GET /health, GET /download-status, POST /download, POST /download-file, POST /analyze, POST /pipeline, GET /jobs, GET /jobs/:id, GET /usage, GET /analysis, GET /analysis/latest, GET /analysis/:date, GET /latest-chart, GET /annotated-chart, GET /charts/:date/original, GET /charts/:date/annotated, GET /charts/:date/annotated/:template, GET /charts/:date/zones'
     }));
   }
 });
@@ -439,11 +868,22 @@ server.listen(PORT, () => {
   console.log(`[Server] Health check: http://localhost:${PORT}/health`);
   console.log(`[Server] Data directory: ${config.storage.dataDir}`);
   console.log(`[Server] Chart URL: ${config.stockcharts.chartUrl}`);
+
+  if (config.mock.enabled) {
+    console.log(`[Server] MOCK_MODE enabled: fixtures from ${config.mock.fixturesDir}, no OpenAI/Gemini/StockCharts calls`);
+  }
+
+  if (config.scheduler.enabled) {
+    scheduler.start();
+  } else {
+    console.log('[Server] Scheduler disabled (set SCHEDULER_ENABLED=true to enable)');
+  }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('[Server] SIGTERM received, shutting down gracefully...');
+  scheduler.stop();
   server.close(() => {
     console.log('[Server] Server closed');
     process.exit(0);
@@ -452,6 +892,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('[Server] SIGINT received, shutting down gracefully...');
+  scheduler.stop();
   server.close(() => {
     console.log('[Server] Server closed');
     process.exit(0);
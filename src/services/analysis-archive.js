@@ -0,0 +1,85 @@
+import fs from 'fs';
+import { database } from './database.js';
+import { getFilePath, saveFile } from '../utils/storage.js';
+
+/**
+ * Analysis Archive
+ *
+ * Every analysis call is archived with its prompts, raw responses, call metadata (thread/run
+ * or completion IDs, model) and token usage, both in the analysis_calls table and on disk:
+ * /data/YYYY-MM-DD/secular_analysis.json for a successful call (ensemble/<member>.json for an
+ * ensemble member), rejected/analysis-<ts>.json for a failed one. Replay rebuilds the
+ * secular_analysis row from the archive.
+ */
+
+/**
+ * Archive one analysis call
+ * Failures are logged and never fail the analysis itself.
+ * @param {Object} archive - Archive built by AnalysisProvider.analyze()
+ * @returns {Promise<void>}
+ */
+export async function archiveAnalysisCall(archive) {
+  try {
+    const call = await database.saveAnalysisCall(archive);
+    archive.call_id = call.id;
+  } catch (error) {
+    console.warn(`[Archive] Could not save analysis call to database: ${error.message}`);
+  }
+
+  let filename = `rejected/analysis-${Date.now()}.json`;
+  if (archive.status === 'succeeded') {
+    filename = archive.ensemble_member ? `ensemble/${archive.ensemble_member}.json` : 'secular_analysis.json';
+  }
+
+  try {
+    await saveFile(filename, JSON.stringify(archive, null, 2), archive.asof_date);
+  } catch (error) {
+    console.warn(`[Archive] Could not save ${filename}: ${error.message}`);
+  }
+}
+
+/**
+ * Load the archive of the last successful analysis call for a date
+ * Reads secular_analysis.json, falling back to the database once the file has been cleaned up.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Object|null>} Archive, or null if none exists
+ */
+export async function loadAnalysisArchive(date) {
+  const filePath = getFilePath('secular_analysis.json', date);
+
+  if (fs.existsSync(filePath)) {
+    return JSON.parse(await fs.promises.readFile(filePath, 'utf-8'));
+  }
+
+  const call = await database.getLatestAnalysisCall(date);
+  return call ? call.archive : null;
+}
+
+/**
+ * Load the archives of the ensemble members that succeeded for a date
+ * Only the files are read; there is no database fallback.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Object[]>} Archives, in ensemble member order
+ */
+export async function loadEnsembleArchives(date) {
+  const dir = getFilePath('ensemble', date);
+
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  // Member labels start with their position in the ensemble ("1-chat-completions-gpt-4o")
+  const names = (await fs.promises.readdir(dir))
+    .filter(name => name.endsWith('.json'))
+    .sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+
+  return Promise.all(names.map(async name =>
+    JSON.parse(await fs.promises.readFile(getFilePath(`ensemble/${name}`, date), 'utf-8'))
+  ));
+}
+
+export default {
+  archiveAnalysisCall,
+  loadAnalysisArchive,
+  loadEnsembleArchives
+};
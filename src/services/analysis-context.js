@@ -0,0 +1,64 @@
+import { config } from '../config.js';
+import { database } from './database.js';
+
+/**
+ * Previous-Analysis Context
+ *
+ * Each analysis runs in a fresh conversation, so without help the model has no memory of the
+ * previous day's regime call. When config.analysisContext is enabled, a compact summary of the
+ * last N fresh analyses is added to the prompt and the model reports which scenarios changed
+ * (layer2.scenario_analysis.scenario_changes).
+ */
+
+/**
+ * Load the compact summary of the analyses before a date
+ * @param {string} date - Analysis date (YYYY-MM-DD)
+ * @param {number} [limit] - Number of previous analyses (default config.analysisContext.days)
+ * @returns {Promise<Object[]>} Entries { asof_date, secular_regime_status, overall_bias, scenarios }, newest first
+ */
+export async function getPreviousAnalysisContext(date, limit = config.analysisContext.days) {
+  const rows = await database.getPreviousAnalyses(date, limit);
+
+  return rows.map(row => {
+    const analysis = database.mapRowToAnalysis(row);
+    const { overall_bias, scenarios } = analysis.layer2.scenario_analysis;
+
+    return {
+      asof_date: analysis.asof_date,
+      secular_regime_status: analysis.layer1.secular_regime_status,
+      overall_bias,
+      scenarios: scenarios.map(({ scenario_id, name, probability }) => ({ scenario_id, name, probability }))
+    };
+  });
+}
+
+/**
+ * Format previous analyses as prompt text
+ * @param {Object[]} context - Entries from getPreviousAnalysisContext()
+ * @returns {string} Prompt section (empty when there is no context)
+ */
+export function formatAnalysisContext(context) {
+  if (!context || context.length === 0) {
+    return '';
+  }
+
+  const lines = context.map(entry => {
+    const scenarios = entry.scenarios
+      .map(scenario => `${scenario.scenario_id} ${scenario.name} ${Math.round(scenario.probability * 100)}%`)
+      .join('; ');
+    return `- ${entry.asof_date}: regime "${entry.secular_regime_status}", bias "${entry.overall_bias}", scenarios: ${scenarios}`;
+  });
+
+  return [
+    'Previous analyses (most recent first):',
+    ...lines,
+    '',
+    'Keep continuity with these calls: change the regime status, overall bias or scenario probabilities only where the chart gives a reason to.',
+    'Add "scenario_changes" to layer2.scenario_analysis, comparing your scenarios with the most recent previous analysis: one entry per scenario that is new, removed, or whose probability changed, with "scenario_id", "name", "previous_probability" (null if new), "probability" (null if removed) and "reason". Use an empty array if nothing changed.'
+  ].join('\n');
+}
+
+export default {
+  getPreviousAnalysisContext,
+  formatAnalysisContext
+};
@@ -0,0 +1,289 @@
+import fs from 'fs';
+import { ANALYSIS_SCHEMA_VERSION, analysisSchema, validateAnalysis } from '../analysis-validator.js';
+import { archiveAnalysisCall } from '../analysis-archive.js';
+import { recordUsage } from '../usage.js';
+import { formatAnalysisContext } from '../analysis-context.js';
+import { getTimestamp } from '../../utils/date.js';
+
+/**
+ * Analysis Provider Base Class
+ *
+ * A provider turns a chart image into the 3-layer analysis (layer1, layer2, layer3).
+ * Implementations only open a conversation with their backend (startConversation); parsing,
+ * key normalization, JSON Schema validation, the single repair request and archiving of every
+ * prompt and raw response (see analysis-archive.js) are shared here. complete() answers
+ * text-only follow-up requests such as translations.
+ */
+
+/**
+ * Normalize JSON keys to handle variations (layer_1, layer 1, layer1)
+ * @param {Object} data - Raw analysis data
+ * @returns {Object} Normalized data with layer1, layer2, layer3 keys
+ */
+export function normalizeKeys(data) {
+  const normalized = {};
+
+  for (const [key, value] of Object.entries(data)) {
+    // Remove spaces and underscores, convert to lowercase
+    const normalizedKey = key.replace(/[ _]/g, '').toLowerCase();
+    normalized[normalizedKey] = value;
+  }
+
+  return normalized;
+}
+
+/**
+ * Parse, normalize and validate a raw analysis response
+ * @param {string} text - Raw response text
+ * @returns {{analysis: Object|null, errors: string[]}} Normalized analysis and validation errors
+ */
+export function parseAnalysisResponse(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { analysis: null, errors: [`(root): response is not valid JSON (${error.message})`] };
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { analysis: null, errors: ['(root): response must be a JSON object'] };
+  }
+
+  // Normalize keys (handle layer_1, layer 1, etc.) before validating
+  const analysis = normalizeKeys(parsed);
+  const { errors } = validateAnalysis(analysis);
+
+  return { analysis, errors };
+}
+
+/**
+ * Normalize token usage reported by a backend
+ * @param {Object} [usage] - Usage with prompt_tokens, completion_tokens, total_tokens
+ * @returns {{prompt_tokens: number, completion_tokens: number, total_tokens: number}} Usage
+ */
+function normalizeUsage(usage) {
+  const promptTokens = usage?.prompt_tokens || 0;
+  const completionTokens = usage?.completion_tokens || 0;
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: usage?.total_tokens || promptTokens + completionTokens
+  };
+}
+
+export class AnalysisProvider {
+  /**
+   * @param {string} name - Registry name (used in config.openai.provider)
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Check whether the provider is configured well enough to be used
+   * @returns {boolean} True if the provider can be used
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Service the provider's calls are billed to (ai_usage.service)
+   * @returns {string} Service name
+   */
+  get service() {
+    return 'openai';
+  }
+
+  /**
+   * Short description for logs (e.g. the model or assistant in use)
+   * @returns {string} Description
+   */
+  describe() {
+    return this.name;
+  }
+
+  /**
+   * Open a conversation about one chart
+   * The chart is attached to the first message sent with ask(). ask() resolves to the raw reply
+   * text plus call metadata (IDs, model) and token usage; conversation metadata describes the
+   * whole exchange (thread, system prompt, ...). Both are archived.
+   * @param {string} chartPath - Path to chart image file
+   * @param {string} date - Analysis date (YYYY-MM-DD)
+   * @returns {Promise<{ask: function(string): Promise<{text: string, metadata?: Object, usage?: Object}>, close: function(): Promise<void>, metadata?: Object}>} Conversation
+   */
+  async startConversation(chartPath, date) {
+    throw new Error(`Analysis provider "${this.name}" does not implement startConversation()`);
+  }
+
+  /**
+   * Send one text-only request (no chart) that must be answered with a JSON object
+   * Used for follow-up tasks such as translating Layer 3 (see translation.js).
+   * @param {string} systemPrompt - System prompt
+   * @param {string} text - User message
+   * @returns {Promise<{text: string, metadata?: Object, usage?: Object}>} Raw reply, call metadata (model, IDs) and token usage
+   */
+  async complete(systemPrompt, text) {
+    throw new Error(`Analysis provider "${this.name}" does not implement complete()`);
+  }
+
+  /**
+   * Analyze a chart image
+   * Output that fails the JSON Schema gets one repair request in the same conversation.
+   * @param {string} chartPath - Path to chart image file
+   * @param {string} date - Analysis date (YYYY-MM-DD)
+   * @param {Object} [options] - Options
+   * @param {Object[]} [options.context] - Previous analyses to include (see analysis-context.js)
+   * @param {string} [options.member] - Ensemble member label (archived under ensemble/<member>.json)
+   * @returns {Promise<Object>} Analysis result with layer1, layer2, layer3
+   */
+  async analyze(chartPath, date, { context = [], member = null } = {}) {
+    console.log(`[${this.name}] Starting chart analysis (${this.describe()})...`);
+    console.log(`[${this.name}] Chart: ${chartPath}`);
+    console.log(`[${this.name}] Date: ${date}`);
+
+    if (!this.isConfigured()) {
+      throw new Error(`Analysis provider "${this.name}" is not configured`);
+    }
+
+    // Verify chart file exists
+    if (!fs.existsSync(chartPath)) {
+      throw new Error(`Chart file not found: ${chartPath}`);
+    }
+
+    const archive = {
+      asof_date: date,
+      provider: this.name,
+      model: null,
+      ensemble_member: member,
+      schema_version: ANALYSIS_SCHEMA_VERSION,
+      status: 'running',
+      error: null,
+      chart_path: chartPath,
+      context,
+      started_at: getTimestamp(),
+      finished_at: null,
+      conversation: null,
+      exchanges: [],
+      usage: normalizeUsage(),
+      analysis: null
+    };
+    let conversation = null;
+
+    // Send one message and record the prompt, raw reply, metadata and usage
+    const ask = async (type, prompt) => {
+      const exchange = { type, prompt };
+      archive.exchanges.push(exchange);
+
+      const reply = await conversation.ask(prompt);
+      const { analysis, errors } = this.parseResponse(reply.text);
+
+      Object.assign(exchange, {
+        raw_response: reply.text,
+        metadata: reply.metadata || {},
+        usage: normalizeUsage(reply.usage),
+        errors
+      });
+      archive.model = reply.metadata?.model || archive.model;
+      archive.usage = normalizeUsage({
+        prompt_tokens: archive.usage.prompt_tokens + exchange.usage.prompt_tokens,
+        completion_tokens: archive.usage.completion_tokens + exchange.usage.completion_tokens
+      });
+
+      return { analysis, errors };
+    };
+
+    try {
+      conversation = await this.startConversation(chartPath, date);
+      archive.conversation = conversation.metadata || {};
+      archive.model = archive.conversation.model || null;
+
+      let { analysis, errors } = await ask('analysis', this.buildAnalysisMessage(date, context));
+
+      // One repair request if the output does not match the schema
+      if (errors.length > 0) {
+        console.warn(`[${this.name}] Response failed schema v${ANALYSIS_SCHEMA_VERSION} validation (${errors.length} errors), requesting repair...`);
+        errors.forEach(error => console.warn(`[${this.name}]   ${error}`));
+
+        ({ analysis, errors } = await ask('repair', this.buildRepairMessage(errors)));
+
+        if (errors.length > 0) {
+          throw new Error(`Analysis response failed schema v${ANALYSIS_SCHEMA_VERSION} validation after repair:\n${errors.join('\n')}`);
+        }
+        console.log(`[${this.name}] Repaired response passed validation`);
+      }
+
+      console.log(`[${this.name}] Analysis completed successfully`);
+      console.log(`[${this.name}] Layer 1 keys: ${Object.keys(analysis.layer1).join(', ')}`);
+      console.log(`[${this.name}] Layer 2 keys: ${Object.keys(analysis.layer2).join(', ')}`);
+      console.log(`[${this.name}] Layer 3 keys: ${Object.keys(analysis.layer3).join(', ')}`);
+
+      archive.status = 'succeeded';
+      archive.analysis = analysis;
+      return analysis;
+    } catch (error) {
+      archive.status = 'failed';
+      archive.error = error.message;
+      throw error;
+    } finally {
+      if (conversation) {
+        await conversation.close();
+      }
+      archive.finished_at = getTimestamp();
+      await archiveAnalysisCall(archive);
+
+      if (archive.exchanges.length > 0) {
+        await recordUsage({
+          asof_date: date,
+          service: this.service,
+          operation: 'analysis',
+          model: archive.model,
+          prompt_tokens: archive.usage.prompt_tokens,
+          completion_tokens: archive.usage.completion_tokens
+        });
+      }
+    }
+  }
+
+  /**
+   * Parse, normalize and validate a response
+   * @param {string} text - Raw response text
+   * @returns {{analysis: Object|null, errors: string[]}} Normalized analysis and validation errors
+   */
+  parseResponse(text) {
+    const result = parseAnalysisResponse(text);
+    if (!result.analysis) {
+      console.error(`[${this.name}] Unusable response:`, text);
+    }
+    return result;
+  }
+
+  /**
+   * Build the first message sent with the chart
+   * @param {string} date - Analysis date (YYYY-MM-DD)
+   * @param {Object[]} [context] - Previous analyses to include
+   * @returns {string} Message text
+   */
+  buildAnalysisMessage(date, context = []) {
+    const message = `engine + all layers\n\nAnalysis Date: ${date}\n\nAnalyze the attached chart and provide 3-layer analysis.`;
+    const contextText = formatAnalysisContext(context);
+
+    return contextText ? `${message}\n\n${contextText}` : message;
+  }
+
+  /**
+   * Build the follow-up message asking the model to fix its previous response
+   * @param {string[]} errors - Validation errors
+   * @returns {string} Repair message
+   */
+  buildRepairMessage(errors) {
+    return [
+      'Your previous response does not match the required JSON Schema. Errors:',
+      ...errors.map(error => `- ${error}`),
+      '',
+      'Return the complete corrected 3-layer analysis as a single JSON object that matches this schema. Do not change the analysis itself unless a field is missing or invalid.',
+      JSON.stringify(analysisSchema)
+    ].join('\n');
+  }
+}
@@ -0,0 +1,161 @@
+import fs from 'fs';
+import { config } from '../../config.js';
+import { AnalysisProvider } from './analysis-provider.js';
+import { callOpenAI, completeJson, getOpenAIClient } from './openai-client.js';
+
+/**
+ * OpenAI Assistants Provider ("assistants")
+ *
+ * The original flow: upload the chart, post it to a thread and run the secular assistant
+ * (config.openai.assistantId). The prompt and model live in the assistant on OpenAI's side.
+ * Uses the beta Threads/Runs API.
+ */
+
+const MAX_POLL_TIME = 300000; // 5 minutes
+
+export class AssistantsProvider extends AnalysisProvider {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.model] - Model to run the assistant with instead of its own
+   */
+  constructor({ model } = {}) {
+    super('assistants');
+    this.model = model || null;
+  }
+
+  isConfigured() {
+    return Boolean(config.openai.apiKey && config.openai.assistantId);
+  }
+
+  describe() {
+    return this.model
+      ? `assistant ${config.openai.assistantId}, model ${this.model}`
+      : `assistant ${config.openai.assistantId}`;
+  }
+
+  async startConversation(chartPath, date) {
+    const client = getOpenAIClient();
+
+    // Upload chart to OpenAI
+    console.log('[assistants] Uploading chart...');
+    const file = await callOpenAI('files.create', options => client.files.create({
+      file: fs.createReadStream(chartPath),
+      purpose: 'assistants'
+    }, options), { idempotent: false });
+    console.log(`[assistants] Chart uploaded: ${file.id}`);
+
+    const deleteFile = async () => {
+      try {
+        await callOpenAI('files.del', options => client.files.del(file.id, options));
+        console.log(`[assistants] Cleaned up file: ${file.id}`);
+      } catch (error) {
+        console.warn(`[assistants] Failed to delete file ${file.id}:`, error.message);
+      }
+    };
+
+    let thread;
+    try {
+      thread = await callOpenAI('threads.create', options => client.beta.threads.create({}, options), { idempotent: false });
+      console.log(`[assistants] Thread created: ${thread.id}`);
+    } catch (error) {
+      await deleteFile();
+      throw error;
+    }
+
+    let chartSent = false;
+
+    return {
+      ask: async text => {
+        const content = chartSent
+          ? text
+          : [
+              { type: 'text', text },
+              { type: 'image_file', image_file: { file_id: file.id } }
+            ];
+        chartSent = true;
+
+        await callOpenAI('messages.create', options => client.beta.threads.messages.create(thread.id, { role: 'user', content }, options), { idempotent: false });
+        return this.runThread(client, thread.id);
+      },
+      close: deleteFile,
+      metadata: { assistant_id: config.openai.assistantId, thread_id: thread.id, file_id: file.id }
+    };
+  }
+
+  /**
+   * Run the assistant on a thread, wait for it and return the newest reply
+   * @param {import('openai').default} client - OpenAI client
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<{text: string, metadata: Object, usage: Object}>} Reply text, run metadata and usage
+   */
+  async runThread(client, threadId) {
+    console.log('[assistants] Running assistant...');
+    let run = await callOpenAI('runs.create', options => client.beta.threads.runs.create(threadId, {
+      assistant_id: config.openai.assistantId,
+      ...(this.model && { model: this.model }),
+      response_format: { type: 'json_object' },
+      temperature: 0
+    }, options), { idempotent: false });
+    console.log(`[assistants] Run started: ${run.id}`);
+
+    // Poll for completion
+    const startTime = Date.now();
+    while (run.status !== 'completed') {
+      // Check timeout
+      if (Date.now() - startTime > MAX_POLL_TIME) {
+        throw new Error('Assistant run timeout (5 minutes)');
+      }
+
+      // Check for failure
+      if (run.status === 'failed') {
+        throw new Error(`Assistant run failed: ${run.last_error?.message || 'Unknown error'}`);
+      }
+
+      if (run.status === 'cancelled') {
+        throw new Error('Assistant run was cancelled');
+      }
+
+      if (run.status === 'expired') {
+        throw new Error('Assistant run expired');
+      }
+
+      // Log progress
+      console.log(`[assistants] Run status: ${run.status}`);
+
+      // Wait before next poll
+      await new Promise(resolve => setTimeout(resolve, config.openai.pollingInterval));
+
+      // Fetch updated run status
+      run = await callOpenAI('runs.retrieve', options => client.beta.threads.runs.retrieve(threadId, run.id, options));
+    }
+
+    console.log('[assistants] Run completed successfully');
+
+    // Retrieve the newest assistant message (messages are listed newest first)
+    const messages = await callOpenAI('messages.list', options => client.beta.threads.messages.list(threadId, {}, options));
+    const assistantMessage = messages.data.find(msg => msg.role === 'assistant');
+
+    if (!assistantMessage) {
+      throw new Error('No assistant response found');
+    }
+
+    const textContent = assistantMessage.content.find(c => c.type === 'text');
+    if (!textContent) {
+      throw new Error('No text content in assistant response');
+    }
+
+    return {
+      text: textContent.text.value,
+      metadata: { run_id: run.id, message_id: assistantMessage.id, model: run.model },
+      usage: run.usage
+    };
+  }
+
+  /**
+   * Text-only requests skip the assistant and go to the chat completions API with the
+   * constructor model, else config.openai.model
+   */
+  async complete(systemPrompt, text) {
+    return completeJson(this.model || config.openai.model, systemPrompt, text);
+  }
+}
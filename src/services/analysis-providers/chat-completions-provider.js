@@ -0,0 +1,99 @@
+import fs from 'fs';
+import { config } from '../../config.js';
+import { analysisSchema } from '../analysis-validator.js';
+import { AnalysisProvider } from './analysis-provider.js';
+import { callOpenAI, completeJson, getOpenAIClient } from './openai-client.js';
+
+/**
+ * Chat Completions Provider ("chat-completions")
+ *
+ * Single vision request per analysis: the system prompt in src/prompts/secular-analysis.md
+ * (plus the JSON Schema) and the chart as an inline image, sent to config.openai.model (or
+ * the model given to the constructor).
+ * No assistant or uploaded files are involved.
+ */
+
+const PROMPT_URL = new URL('../../prompts/secular-analysis.md', import.meta.url);
+
+export class ChatCompletionsProvider extends AnalysisProvider {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.model] - Model to use instead of config.openai.model
+   */
+  constructor({ model } = {}) {
+    super('chat-completions');
+    this.model = model || config.openai.model;
+    this.systemPrompt = null;
+  }
+
+  isConfigured() {
+    return Boolean(config.openai.apiKey && this.model);
+  }
+
+  describe() {
+    return `model ${this.model}`;
+  }
+
+  /**
+   * Load the system prompt from the repo and append the output schema
+   * @returns {string} System prompt
+   */
+  getSystemPrompt() {
+    if (!this.systemPrompt) {
+      this.systemPrompt = [
+        fs.readFileSync(PROMPT_URL, 'utf-8').trim(),
+        '',
+        'The response must be a single JSON object matching this JSON Schema:',
+        JSON.stringify(analysisSchema)
+      ].join('\n');
+    }
+    return this.systemPrompt;
+  }
+
+  async startConversation(chartPath, date) {
+    const client = getOpenAIClient();
+    const image = await fs.promises.readFile(chartPath);
+    const messages = [{ role: 'system', content: this.getSystemPrompt() }];
+    let chartSent = false;
+
+    return {
+      ask: async text => {
+        const content = chartSent
+          ? text
+          : [
+              { type: 'text', text },
+              { type: 'image_url', image_url: { url: `data:image/png;base64,${image.toString('base64')}`, detail: 'high' } }
+            ];
+        chartSent = true;
+        messages.push({ role: 'user', content });
+
+        console.log(`[chat-completions] Requesting analysis from ${this.model}...`);
+        const completion = await callOpenAI('chat.completions.create', options => client.chat.completions.create({
+          model: this.model,
+          messages,
+          response_format: { type: 'json_object' },
+          temperature: 0
+        }, options));
+
+        const choice = completion.choices[0];
+        const reply = choice?.message?.content;
+        if (!reply) {
+          throw new Error(`No content in ${this.model} response (finish_reason: ${choice?.finish_reason || 'unknown'})`);
+        }
+
+        messages.push({ role: 'assistant', content: reply });
+        return {
+          text: reply,
+          metadata: { completion_id: completion.id, model: completion.model, finish_reason: choice.finish_reason },
+          usage: completion.usage
+        };
+      },
+      close: async () => {},
+      metadata: { model: this.model, system_prompt: this.getSystemPrompt() }
+    };
+  }
+
+  async complete(systemPrompt, text) {
+    return completeJson(this.model, systemPrompt, text);
+  }
+}
@@ -0,0 +1,83 @@
+import { config } from '../../config.js';
+import { AssistantsProvider } from './assistants-provider.js';
+import { ChatCompletionsProvider } from './chat-completions-provider.js';
+import { MockProvider } from './mock-provider.js';
+
+/**
+ * Analysis Provider Registry
+ *
+ * Providers are registered by name; config.openai.provider selects the active one.
+ */
+
+const registry = new Map();
+
+/**
+ * Register an analysis provider
+ * @param {string} name - Provider name
+ * @param {Function} factory - Function (options) returning an AnalysisProvider instance
+ */
+export function registerAnalysisProvider(name, factory) {
+  registry.set(name, { factory, instance: null });
+}
+
+/**
+ * Get a registered analysis provider
+ * @param {string} [name] - Provider name, defaults to config.openai.provider
+ * @returns {import('./analysis-provider.js').AnalysisProvider} Analysis provider instance
+ */
+export function getAnalysisProvider(name = config.openai.provider) {
+  const entry = registry.get(name);
+  if (!entry) {
+    throw new Error(`Unknown analysis provider "${name}" (registered: ${listAnalysisProviders().join(', ')})`);
+  }
+
+  if (!entry.instance) {
+    entry.instance = entry.factory({});
+  }
+  return entry.instance;
+}
+
+/**
+ * Create a new, uncached analysis provider instance with options (e.g. a model override)
+ * @param {string} name - Provider name
+ * @param {Object} [options] - Options passed to the provider's constructor
+ * @returns {import('./analysis-provider.js').AnalysisProvider} Analysis provider instance
+ */
+export function createAnalysisProvider(name, options = {}) {
+  const entry = registry.get(name);
+  if (!entry) {
+    throw new Error(`Unknown analysis provider "${name}" (registered: ${listAnalysisProviders().join(', ')})`);
+  }
+  return entry.factory(options);
+}
+
+/**
+ * List registered analysis provider names
+ * @returns {string[]} Provider names
+ */
+export function listAnalysisProviders() {
+  return [...registry.keys()];
+}
+
+registerAnalysisProvider('assistants', options => new AssistantsProvider(options));
+registerAnalysisProvider('chat-completions', options => new ChatCompletionsProvider(options));
+registerAnalysisProvider('mock', options => new MockProvider(options));
+
+/**
+ * Analyze a chart with the active provider
+ * @param {string} chartPath - Path to chart image file
+ * @param {string} date - Analysis date (YYYY-MM-DD)
+ * @param {Object} [options] - Options passed to AnalysisProvider.analyze()
+ * @returns {Promise<Object>} Analysis with layer1, layer2, layer3
+ */
+export async function analyzeChart(chartPath, date, options) {
+  return getAnalysisProvider().analyze(chartPath, date, options);
+}
+
+export default {
+  registerAnalysisProvider,
+  getAnalysisProvider,
+  createAnalysisProvider,
+  listAnalysisProviders,
+  analyzeChart
+};
@@ -0,0 +1,71 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../../config.js';
+import { AnalysisProvider } from './analysis-provider.js';
+
+/**
+ * Mock Analysis Provider ("mock")
+ *
+ * Returns canned 3-layer JSON from config.mock.fixturesDir: analysis/<date>.json, or
+ * analysis/default.json with layer1.asof_date set to the requested date. The response still
+ * goes through validation and repair, so broken fixtures fail like a broken model response.
+ * Text-only requests (translations) return translations/<locale>.json for the locale named in
+ * the request.
+ */
+export class MockProvider extends AnalysisProvider {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.model] - Model name reported in metadata (default "mock")
+   */
+  constructor({ model } = {}) {
+    super('mock');
+    this.model = model || 'mock';
+  }
+
+  isConfigured() {
+    return fs.existsSync(path.join(config.mock.fixturesDir, 'analysis', 'default.json'));
+  }
+
+  get service() {
+    return 'mock';
+  }
+
+  describe() {
+    return `fixtures in ${config.mock.fixturesDir}`;
+  }
+
+  async startConversation(chartPath, date) {
+    const datedPath = path.join(config.mock.fixturesDir, 'analysis', `${date}.json`);
+    const defaultPath = path.join(config.mock.fixturesDir, 'analysis', 'default.json');
+    const fixturePath = fs.existsSync(datedPath) ? datedPath : defaultPath;
+    let reply;
+
+    if (fixturePath === datedPath) {
+      reply = await fs.promises.readFile(datedPath, 'utf-8');
+    } else {
+      const fixture = JSON.parse(await fs.promises.readFile(defaultPath, 'utf-8'));
+      fixture.layer1.asof_date = date;
+      reply = JSON.stringify(fixture);
+    }
+
+    return {
+      ask: async () => ({ text: reply, metadata: { model: this.model } }),
+      close: async () => {},
+      metadata: { model: this.model, fixture: fixturePath }
+    };
+  }
+
+  async complete(systemPrompt, text) {
+    const { locale } = JSON.parse(text);
+    const fixturePath = path.join(config.mock.fixturesDir, 'translations', `${locale}.json`);
+
+    if (!fs.existsSync(fixturePath)) {
+      throw new Error(`No mock translation fixture for "${locale}" (${fixturePath})`);
+    }
+
+    return {
+      text: await fs.promises.readFile(fixturePath, 'utf-8'),
+      metadata: { model: this.model, fixture: fixturePath }
+    };
+  }
+}
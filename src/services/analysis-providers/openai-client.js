@@ -0,0 +1,76 @@
+import OpenAI from 'openai';
+import { config } from '../../config.js';
+import { callWithResilience } from '../../utils/resilience.js';
+
+/**
+ * Shared OpenAI client
+ * Created on first use, so importing a provider does not require OPENAI_API_KEY.
+ * SDK retries are disabled; callOpenAI() handles timeouts, retries and the circuit breaker.
+ * Calls that create something are only retried when the API refused them; see callOpenAI().
+ */
+
+let client = null;
+
+/**
+ * Get the shared OpenAI client
+ * @returns {OpenAI} OpenAI client
+ */
+export function getOpenAIClient() {
+  if (!config.openai.apiKey) {
+    throw new Error('OPENAI_API_KEY environment variable is required');
+  }
+
+  if (!client) {
+    client = new OpenAI({ apiKey: config.openai.apiKey, maxRetries: 0 });
+  }
+  return client;
+}
+
+/**
+ * Make one OpenAI API call through the resilience layer
+ * @param {string} label - Call name for logs and errors (e.g. "runs.create")
+ * @param {Function} fn - Receives request options ({ signal }) to pass to the SDK method
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.idempotent=true] - Pass false for calls that create state: a timed-out
+ *   POST may still have been applied, so only 429 and 503 with Retry-After are retried
+ * @returns {Promise<*>} SDK result
+ */
+export function callOpenAI(label, fn, { idempotent = true } = {}) {
+  return callWithResilience('openai', signal => fn({ signal }), {
+    timeout: config.openai.timeout,
+    label: `OpenAI ${label}`,
+    idempotent
+  });
+}
+
+/**
+ * Send one text-only chat completion that must be answered with a JSON object
+ * @param {string} model - Model name
+ * @param {string} systemPrompt - System prompt
+ * @param {string} text - User message
+ * @returns {Promise<{text: string, metadata: Object, usage: Object}>} Raw reply, call metadata and token usage
+ */
+export async function completeJson(model, systemPrompt, text) {
+  const client = getOpenAIClient();
+  const completion = await callOpenAI('chat.completions.create', options => client.chat.completions.create({
+    model,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: text }
+    ],
+    response_format: { type: 'json_object' },
+    temperature: 0
+  }, options));
+
+  const choice = completion.choices[0];
+  const reply = choice?.message?.content;
+  if (!reply) {
+    throw new Error(`No content in ${model} response (finish_reason: ${choice?.finish_reason || 'unknown'})`);
+  }
+
+  return {
+    text: reply,
+    metadata: { completion_id: completion.id, model: completion.model, finish_reason: choice.finish_reason },
+    usage: completion.usage
+  };
+}
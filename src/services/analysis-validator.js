@@ -0,0 +1,124 @@
+import fs from 'fs';
+import Ajv from 'ajv';
+import { config } from '../config.js';
+
+/**
+ * Analysis Validator
+ *
+ * Validates the 3-layer assistant output against the versioned JSON Schema in
+ * src/schemas/secular-analysis.v<N>.json. Errors use the same JSON paths as FIELD_MAPPING.md,
+ * e.g. "layer2.scenario_analysis.scenarios[0].probability: must be number".
+ *
+ * checkAnalysisConsistency() adds domain rules on top of the schema. Its findings are warnings:
+ * they are stored on the record instead of rejecting the run.
+ */
+
+export const ANALYSIS_SCHEMA_VERSION = 1;
+
+export const analysisSchema = JSON.parse(
+  fs.readFileSync(new URL(`../schemas/secular-analysis.v${ANALYSIS_SCHEMA_VERSION}.json`, import.meta.url), 'utf-8')
+);
+
+const ajv = new Ajv({ allErrors: true });
+const validate = ajv.compile(analysisSchema);
+
+/**
+ * Convert an Ajv instance path (/layer2/scenarios/0/name) to a readable path (layer2.scenarios[0].name)
+ * @param {string} instancePath - JSON Pointer from Ajv
+ * @returns {string} Readable path
+ */
+function toReadablePath(instancePath) {
+  return instancePath
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((path, segment) => (
+      /^\d+$/.test(segment) ? `${path}[${segment}]` : (path ? `${path}.${segment}` : segment)
+    ), '');
+}
+
+/**
+ * Format one Ajv error as "path: message"
+ * @param {Object} error - Ajv error object
+ * @returns {string} Readable error
+ */
+function formatError(error) {
+  let path = toReadablePath(error.instancePath);
+
+  if (error.keyword === 'required') {
+    path = path ? `${path}.${error.params.missingProperty}` : error.params.missingProperty;
+    return `${path}: is required`;
+  }
+
+  return `${path || '(root)'}: ${error.message}`;
+}
+
+/**
+ * Validate an analysis against the JSON Schema
+ * @param {Object} analysis - Analysis with layer1, layer2, layer3
+ * @returns {{valid: boolean, errors: string[], schemaVersion: number}} Validation result
+ */
+export function validateAnalysis(analysis) {
+  const valid = validate(analysis);
+
+  return {
+    valid,
+    errors: valid ? [] : validate.errors.map(formatError),
+    schemaVersion: ANALYSIS_SCHEMA_VERSION
+  };
+}
+
+/**
+ * Apply domain rules to an analysis that passed schema validation
+ * @param {Object} analysis - Analysis with layer1, layer2, layer3
+ * @param {string} date - Requested as-of date in YYYY-MM-DD format
+ * @returns {string[]} Warnings as "path: message"
+ */
+export function checkAnalysisConsistency(analysis, date) {
+  const warnings = [];
+  const scenarios = analysis.layer2?.scenario_analysis?.scenarios || [];
+  const summaries = analysis.layer3?.scenario_summary || [];
+  const scenariosPath = 'layer2.scenario_analysis.scenarios';
+
+  // Probabilities should add up to 1
+  const sum = scenarios.reduce((total, scenario) => total + (Number(scenario.probability) || 0), 0);
+  if (scenarios.length > 0 && Math.abs(sum - 1) > config.analysisChecks.probabilitySumTolerance) {
+    warnings.push(`${scenariosPath}: probabilities sum to ${Number(sum.toFixed(4))}, expected 1 (±${config.analysisChecks.probabilitySumTolerance})`);
+  }
+
+  const seenIds = new Map();
+  scenarios.forEach((scenario, index) => {
+    // Move range must be [min, max]
+    const [min, max] = scenario.expected_move_percent || [];
+    if (typeof min === 'number' && typeof max === 'number' && min > max) {
+      warnings.push(`${scenariosPath}[${index}].expected_move_percent: min ${min} is greater than max ${max}`);
+    }
+
+    // Scenario IDs must be unique
+    const id = String(scenario.scenario_id);
+    if (seenIds.has(id)) {
+      warnings.push(`${scenariosPath}[${index}].scenario_id: "${id}" duplicates ${scenariosPath}[${seenIds.get(id)}]`);
+    } else {
+      seenIds.set(id, index);
+    }
+  });
+
+  // One summary line per scenario
+  if (summaries.length !== scenarios.length) {
+    warnings.push(`layer3.scenario_summary: has ${summaries.length} entries for ${scenarios.length} scenarios`);
+  }
+
+  // The analysis must be for the date that was asked for
+  if (analysis.layer1?.asof_date !== date) {
+    warnings.push(`layer1.asof_date: "${analysis.layer1?.asof_date}" does not match requested date ${date}`);
+  }
+
+  return warnings;
+}
+
+export default {
+  ANALYSIS_SCHEMA_VERSION,
+  analysisSchema,
+  validateAnalysis,
+  checkAnalysisConsistency
+};
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import { config } from '../config.js';
+import { database } from './database.js';
+import { localAnnotator } from './local-annotator.js';
+import { getFilePath } from '../utils/storage.js';
+
+/**
+ * Annotation Variants
+ *
+ * Renders a day's Layer 3 overlay with a named template from config.annotation.templates
+ * (dark, light, mobile, social, ...) using the local annotator, in English or in a stored
+ * translation (see translation.js). Each variant is cached as annotated_<template>.png
+ * (annotated_<template>.<locale>.png when localized) next to annotated_chart.png and redrawn
+ * when the original chart or the stored analysis is newer than the cached file.
+ */
+
+/**
+ * List the configured template names
+ * @returns {string[]} Template names
+ */
+export function getTemplateNames() {
+  return Object.keys(config.annotation.templates);
+}
+
+/**
+ * Build the cache file name of a variant
+ * @param {string} templateName - Template name
+ * @param {string} [locale='en'] - Locale
+ * @returns {string} File name, e.g. "annotated_social.png" or "annotated_social.zh-TW.png"
+ */
+export function getVariantFilename(templateName, locale = 'en') {
+  return locale === 'en' ? `annotated_${templateName}.png` : `annotated_${templateName}.${locale}.png`;
+}
+
+/**
+ * Get the path of an annotated chart variant, rendering it if the cache is missing or stale
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} templateName - Template name
+ * @param {string} [locale='en'] - 'en' or a locale from config.localization.locales
+ * @returns {Promise<string>} Path to the variant PNG
+ * @throws {Error} code 'UNKNOWN_TEMPLATE' for an unknown template, 'NOT_FOUND' without an analysis, chart or translation for the date
+ */
+export async function getAnnotationVariant(date, templateName, locale = 'en') {
+  const template = Object.hasOwn(config.annotation.templates, templateName)
+    ? config.annotation.templates[templateName]
+    : null;
+  if (!template) {
+    const error = new Error(`Unknown annotation template "${templateName}" (available: ${getTemplateNames().join(', ')})`);
+    error.code = 'UNKNOWN_TEMPLATE';
+    throw error;
+  }
+
+  const chartPath = getFilePath('original_chart.png', date);
+  const row = await database.getAnalysisByDate(date);
+  if (!row || !fs.existsSync(chartPath)) {
+    const error = new Error(`No analysis and original chart available for ${date}`);
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+
+  const analysis = database.mapRowToAnalysis(row);
+  const layer3 = locale === 'en' ? analysis.layer3 : analysis.layer3_translations[locale];
+  if (!layer3) {
+    const error = new Error(`No ${locale} translation of the analysis for ${date}`);
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+
+  const outputPath = getFilePath(getVariantFilename(templateName, locale), date);
+  if (fs.existsSync(outputPath)) {
+    const cachedAt = (await fs.promises.stat(outputPath)).mtimeMs;
+    const chartAt = (await fs.promises.stat(chartPath)).mtimeMs;
+    // updated_at is TIMESTAMPTZ, so it compares with file times whatever the DB and process time zones
+    const analysisAt = row.updated_at ? new Date(row.updated_at).getTime() : Infinity;
+
+    if (cachedAt >= chartAt && cachedAt >= analysisAt) {
+      return outputPath;
+    }
+  }
+
+  await localAnnotator.annotateChart(chartPath, outputPath, layer3, { ...template, locale });
+  console.log(`[Variants] Rendered "${templateName}" variant (${locale}) for ${date}`);
+
+  return outputPath;
+}
+
+export default {
+  getTemplateNames,
+  getVariantFilename,
+  getAnnotationVariant
+};
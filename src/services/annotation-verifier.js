@@ -0,0 +1,224 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { config } from '../config.js';
+
+/**
+ * Annotation Integrity Verifier
+ *
+ * Gemini redraws the whole chart to add its overlay box, so candles, prices or dates can change.
+ * The verifier resizes annotated_chart.png to the original's size, diffs the two in greyscale and
+ * locates the overlay box as the largest dense cluster of changed pixels that is box-shaped (it
+ * fills most of its bounding box) and no larger than config.annotationIntegrity.maxBoxRatio of
+ * the image, so redrawn or shifted candles cannot pass as the box. Every changed pixel outside
+ * that box counts against the integrity score (1 = chart data untouched). An annotation without
+ * a box fails. A heatmap of the differences is saved next to the charts.
+ */
+
+/**
+ * Load an image as blurred greyscale pixels of a given size
+ * The light blur keeps resampling noise from counting as a change.
+ * @param {string} imagePath - Image path
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @returns {Promise<Buffer>} One byte per pixel
+ */
+async function loadGreyscale(imagePath, width, height) {
+  return sharp(imagePath)
+    .resize(width, height, { fit: 'fill' })
+    .greyscale()
+    .blur(1)
+    .raw()
+    .toBuffer();
+}
+
+/**
+ * Find the overlay box: the bounding box of the largest connected group of grid cells in
+ * which enough pixels changed, among groups that fill at least minBoxFill of their bounding
+ * box and cover at most maxBoxRatio of the image
+ * @param {Uint8Array} changed - 1 per changed pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {{left: number, top: number, width: number, height: number}|null} Box, or null if no group qualifies
+ */
+function findOverlayBox(changed, width, height) {
+  const { cellSize, cellThreshold, boxMargin, maxBoxRatio, minBoxFill } = config.annotationIntegrity;
+  const cols = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const dense = new Uint8Array(cols * rows);
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      let count = 0;
+      let total = 0;
+      for (let y = row * cellSize; y < Math.min((row + 1) * cellSize, height); y++) {
+        for (let x = col * cellSize; x < Math.min((col + 1) * cellSize, width); x++) {
+          count += changed[y * width + x];
+          total++;
+        }
+      }
+      dense[row * cols + col] = count / total >= cellThreshold ? 1 : 0;
+    }
+  }
+
+  // Largest 8-connected component of dense cells
+  const seen = new Uint8Array(cols * rows);
+  let best = null;
+
+  for (let start = 0; start < dense.length; start++) {
+    if (!dense[start] || seen[start]) {
+      continue;
+    }
+
+    const stack = [start];
+    seen[start] = 1;
+    const component = { size: 0, minCol: cols, maxCol: 0, minRow: rows, maxRow: 0 };
+
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const col = cell % cols;
+      const row = Math.floor(cell / cols);
+      component.size++;
+      component.minCol = Math.min(component.minCol, col);
+      component.maxCol = Math.max(component.maxCol, col);
+      component.minRow = Math.min(component.minRow, row);
+      component.maxRow = Math.max(component.maxRow, row);
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const c = col + dx;
+          const r = row + dy;
+          const next = r * cols + c;
+          if (c >= 0 && c < cols && r >= 0 && r < rows && dense[next] && !seen[next]) {
+            seen[next] = 1;
+            stack.push(next);
+          }
+        }
+      }
+    }
+
+    const boxCells = (component.maxCol - component.minCol + 1) * (component.maxRow - component.minRow + 1);
+    const isBoxShaped = component.size / boxCells >= minBoxFill && boxCells / (cols * rows) <= maxBoxRatio;
+    if (isBoxShaped && (!best || component.size > best.size)) {
+      best = component;
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+
+  const left = Math.max(best.minCol * cellSize - boxMargin, 0);
+  const top = Math.max(best.minRow * cellSize - boxMargin, 0);
+  return {
+    left,
+    top,
+    width: Math.min((best.maxCol + 1) * cellSize + boxMargin, width) - left,
+    height: Math.min((best.maxRow + 1) * cellSize + boxMargin, height) - top
+  };
+}
+
+/**
+ * Save a heatmap of the differences: the original dimmed, changes outside the overlay box in
+ * red, changes inside it in blue, and the box outlined
+ * @param {Buffer} original - Greyscale pixels of the original
+ * @param {Uint8Array} changed - 1 per changed pixel
+ * @param {Object|null} box - Overlay box
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {string} outputPath - Heatmap path
+ * @returns {Promise<void>}
+ */
+async function saveHeatmap(original, changed, box, width, height, outputPath) {
+  const pixels = Buffer.alloc(width * height * 3);
+  const inBox = (x, y) => box && x >= box.left && x < box.left + box.width && y >= box.top && y < box.top + box.height;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const grey = Math.round(original[i] * 0.35);
+      const [r, g, b] = !changed[i] ? [grey, grey, grey] : inBox(x, y) ? [40, 90, 255] : [255, 30, 30];
+      pixels[i * 3] = r;
+      pixels[i * 3 + 1] = g;
+      pixels[i * 3 + 2] = b;
+    }
+  }
+
+  const overlays = box
+    ? [{
+        input: Buffer.from(
+          `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+          `<rect x="${box.left + 1}" y="${box.top + 1}" width="${box.width - 2}" height="${box.height - 2}" fill="none" stroke="#ffdd00" stroke-width="2" stroke-dasharray="8 4"/>` +
+          '</svg>'
+        ),
+        left: 0,
+        top: 0
+      }]
+    : [];
+
+  await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+  await sharp(pixels, { raw: { width, height, channels: 3 } })
+    .composite(overlays)
+    .png()
+    .toFile(outputPath);
+}
+
+/**
+ * Verify that an annotated chart only differs from the original inside its overlay box
+ * @param {string} originalPath - Path to original chart PNG
+ * @param {string} annotatedPath - Path to annotated chart PNG
+ * @param {string} heatmapPath - Path to save the diff heatmap PNG
+ * @returns {Promise<{score: number, status: string, reason: string|null, changedRatio: number, overlayBox: Object|null, heatmapPath: string}>} Integrity result; status is 'passed' or 'failed', reason explains a failure
+ */
+export async function verifyAnnotation(originalPath, annotatedPath, heatmapPath) {
+  const { pixelThreshold, maxChangedRatio } = config.annotationIntegrity;
+  const { width, height } = await sharp(originalPath).metadata();
+
+  const [original, annotated] = await Promise.all([
+    loadGreyscale(originalPath, width, height),
+    loadGreyscale(annotatedPath, width, height)
+  ]);
+
+  const changed = new Uint8Array(width * height);
+  for (let i = 0; i < changed.length; i++) {
+    changed[i] = Math.abs(original[i] - annotated[i]) > pixelThreshold ? 1 : 0;
+  }
+
+  const box = findOverlayBox(changed, width, height);
+
+  let changedOutside = 0;
+  let outside = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (box && x >= box.left && x < box.left + box.width && y >= box.top && y < box.top + box.height) {
+        continue;
+      }
+      outside++;
+      changedOutside += changed[y * width + x];
+    }
+  }
+
+  const changedRatio = outside > 0 ? changedOutside / outside : 0;
+  const score = Math.round((1 - changedRatio) * 10000) / 10000;
+
+  let reason = null;
+  if (changedRatio > maxChangedRatio) {
+    reason = `${(changedRatio * 100).toFixed(2)}% of pixels outside the overlay box changed (max ${(maxChangedRatio * 100).toFixed(2)}%)`;
+  } else if (!box) {
+    reason = 'no overlay box found';
+  }
+  const status = reason ? 'failed' : 'passed';
+
+  await saveHeatmap(original, changed, box, width, height, heatmapPath);
+
+  console.log(`[Integrity] ${annotatedPath}: score ${score} (${(changedRatio * 100).toFixed(2)}% of pixels outside the overlay box changed, max ${(maxChangedRatio * 100).toFixed(2)}%) - ${status}`);
+  if (!box) {
+    console.warn(`[Integrity] No overlay box found: the annotated chart ${changedOutside > 0 ? 'has no box-shaped changed region' : 'does not differ from the original'}`);
+  }
+
+  return { score, status, reason, changedRatio, overlayBox: box, heatmapPath };
+}
+
+export default {
+  verifyAnnotation
+};
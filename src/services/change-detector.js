@@ -0,0 +1,57 @@
+import fs from 'fs';
+import { config } from '../config.js';
+import { database } from './database.js';
+import { getFilePath } from '../utils/storage.js';
+import { computeImageHash, hammingDistance } from '../utils/image-hash.js';
+import { getPreviousTradingDay } from '../utils/market-calendar.js';
+
+/**
+ * Chart Change Detector
+ *
+ * The chart is a monthly $SPX chart, so most daily captures barely differ. This compares the
+ * perceptual hash of a day's capture with the chart behind the previous trading day's analysis,
+ * so the pipeline can carry that analysis forward instead of paying for a new run.
+ */
+
+/**
+ * Compare a day's chart with the chart behind the previous trading day's analysis
+ * If the previous analysis was itself carried forward, the comparison is made against the
+ * chart it was originally made from, so small daily changes cannot add up unnoticed.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Object>} { hash, unchanged, distance, previousRecord, sourceDate }
+ */
+export async function detectChartChange(date) {
+  const hash = await computeImageHash(getFilePath('original_chart.png', date));
+  const result = { hash, unchanged: false, distance: null, previousRecord: null, sourceDate: null };
+
+  if (!config.changeDetection.enabled) {
+    return result;
+  }
+
+  const previousDate = getPreviousTradingDay(date);
+  const previousRecord = await database.getAnalysisByDate(previousDate);
+
+  if (!previousRecord) {
+    console.log(`[ChangeDetector] No analysis for previous trading day ${previousDate}`);
+    return result;
+  }
+
+  const sourceDate = previousRecord.carried_forward_from || previousRecord.asof_date;
+  const sourcePath = getFilePath('original_chart.png', sourceDate);
+
+  if (!fs.existsSync(sourcePath)) {
+    console.log(`[ChangeDetector] Chart for ${sourceDate} no longer on disk`);
+    return result;
+  }
+
+  const distance = hammingDistance(hash, await computeImageHash(sourcePath));
+  const unchanged = distance <= config.changeDetection.threshold;
+
+  console.log(`[ChangeDetector] ${date} vs ${sourceDate}: distance ${distance} (threshold ${config.changeDetection.threshold}) -> ${unchanged ? 'unchanged' : 'changed'}`);
+
+  return { hash, unchanged, distance, previousRecord, sourceDate };
+}
+
+export default {
+  detectChartChange
+};
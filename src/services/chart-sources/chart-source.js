@@ -0,0 +1,87 @@
+import { chromium } from '@playwright/test';
+
+/**
+ * Chart Source Base Class
+ *
+ * A chart source captures a chart image for a date and returns it as a PNG buffer, along with
+ * the visible page text when it comes from a browser (used to spot overlays and error pages).
+ * Validation, saving, retries and fallback between sources are handled by the registry in index.js.
+ */
+export class ChartSource {
+  /**
+   * @param {string} name - Registry name (used in config.chartSources.order)
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Check whether the source is configured well enough to be used
+   * @returns {boolean} True if the source can be used
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Check whether the source can capture the chart as of a date
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {boolean} True if the date is supported
+   */
+  supportsDate(date) {
+    return true;
+  }
+
+  /**
+   * Capture the chart
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {Promise<{image: Buffer, pageText?: string}>} PNG image and visible page text
+   */
+  async capture(date) {
+    throw new Error(`Chart source "${this.name}" does not implement capture()`);
+  }
+
+  /**
+   * Get the visible text of a page
+   * @param {import('@playwright/test').Page} page - Playwright page object
+   * @returns {Promise<string>} Visible text, or an empty string if it cannot be read
+   */
+  async getPageText(page) {
+    try {
+      return await page.evaluate(() => document.body ? document.body.innerText : '');
+    } catch (error) {
+      console.warn(`[${this.name}] Could not read page text:`, error.message);
+      return '';
+    }
+  }
+
+  /**
+   * Launch a headless browser, open a page and run a function with it
+   * The browser is always closed afterwards.
+   * @param {{width: number, height: number}} viewport - Browser viewport
+   * @param {Function} fn - Async function receiving the Playwright page
+   * @returns {Promise<*>} Result of fn
+   */
+  async withPage(viewport, fn) {
+    const tag = `[${this.name}]`;
+    let browser;
+
+    try {
+      console.log(`${tag} Launching browser...`);
+      browser = await chromium.launch({
+        headless: true,
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+      });
+
+      const context = await browser.newContext({ viewport });
+      const page = await context.newPage();
+
+      return await fn(page);
+    } finally {
+      if (browser) {
+        await browser.close();
+        console.log(`${tag} Browser closed`);
+      }
+    }
+  }
+}
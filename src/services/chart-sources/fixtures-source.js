@@ -0,0 +1,35 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../../config.js';
+import { ChartSource } from './chart-source.js';
+
+/**
+ * Fixtures chart source (mock mode)
+ * Serves charts/<date>.png, or charts/default.png, from config.mock.fixturesDir
+ */
+export class FixturesSource extends ChartSource {
+  constructor() {
+    super('fixtures');
+  }
+
+  /**
+   * Get the fixture path for a date
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {string} Path to the PNG fixture
+   */
+  getFixturePath(date) {
+    const datedPath = path.join(config.mock.fixturesDir, 'charts', `${date}.png`);
+    return fs.existsSync(datedPath) ? datedPath : path.join(config.mock.fixturesDir, 'charts', 'default.png');
+  }
+
+  isConfigured() {
+    return fs.existsSync(path.join(config.mock.fixturesDir, 'charts'));
+  }
+
+  async capture(date) {
+    const fixturePath = this.getFixturePath(date);
+    console.log(`[fixtures] Serving ${fixturePath}`);
+
+    return { image: await fs.promises.readFile(fixturePath), pageText: '' };
+  }
+}
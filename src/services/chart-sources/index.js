@@ -0,0 +1,200 @@
+import { config } from '../../config.js';
+import { saveFile } from '../../utils/storage.js';
+import { getTimestamp } from '../../utils/date.js';
+import { validateChartImage } from './validation.js';
+import { StockChartsSource } from './stockcharts-source.js';
+import { TradingViewSource } from './tradingview-source.js';
+import { FixturesSource } from './fixtures-source.js';
+
+/**
+ * Chart Source Registry
+ *
+ * Sources are registered by name and tried in the order given by config.chartSources.order.
+ * The first source that returns a valid image is saved as original_chart.png.
+ */
+
+const registry = new Map();
+
+/**
+ * Register a chart source
+ * @param {string} name - Source name
+ * @param {Function} factory - Function returning a ChartSource instance
+ */
+export function registerChartSource(name, factory) {
+  registry.set(name, { factory, instance: null });
+}
+
+/**
+ * Get a registered chart source
+ * @param {string} name - Source name
+ * @returns {import('./chart-source.js').ChartSource} Chart source instance
+ */
+export function getChartSource(name) {
+  const entry = registry.get(name);
+  if (!entry) {
+    throw new Error(`Unknown chart source "${name}" (registered: ${listChartSources().join(', ')})`);
+  }
+
+  if (!entry.instance) {
+    entry.instance = entry.factory();
+  }
+  return entry.instance;
+}
+
+/**
+ * List registered chart source names
+ * @returns {string[]} Source names
+ */
+export function listChartSources() {
+  return [...registry.keys()];
+}
+
+/**
+ * List the sources that could capture a date: registered, configured and supporting the date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string[]} [sources] - Source names to check, in order
+ * @returns {string[]} Source names
+ */
+export function getSourcesForDate(date, sources = config.chartSources.order) {
+  return sources.filter(name => {
+    if (!registry.has(name)) {
+      return false;
+    }
+    const source = getChartSource(name);
+    return source.isConfigured() && source.supportsDate(date);
+  });
+}
+
+/**
+ * Keep a rejected capture and the reason next to the day's charts for debugging
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} sourceName - Chart source name
+ * @param {number} attempt - Attempt number
+ * @param {Buffer} image - Rejected image
+ * @param {Object} validation - Validation result
+ * @param {string} [pageText] - Visible page text
+ * @returns {Promise<void>}
+ */
+async function saveRejectedCapture(date, sourceName, attempt, image, validation, pageText) {
+  const name = `rejected/${sourceName}-${Date.now()}-${attempt}`;
+
+  try {
+    if (image && image.length > 0) {
+      await saveFile(`${name}.png`, image, date);
+    }
+    await saveFile(`${name}.json`, JSON.stringify({
+      source: sourceName,
+      attempt,
+      reason: validation.reason,
+      metrics: validation.metrics,
+      pageText: pageText ? pageText.slice(0, 2000) : null,
+      timestamp: getTimestamp()
+    }, null, 2), date);
+  } catch (error) {
+    console.warn(`[ChartSource] Could not save rejected capture: ${error.message}`);
+  }
+}
+
+/**
+ * Capture from one source with retries, validating the image each time
+ * Rejected images are kept under /data/YYYY-MM-DD/rejected/ with the reason.
+ * @param {import('./chart-source.js').ChartSource} source - Chart source
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} attempts - Maximum attempts
+ * @returns {Promise<Buffer>} Valid PNG image
+ */
+async function captureWithRetry(source, date, attempts) {
+  let lastError;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      console.log(`[ChartSource] ${source.name}: attempt ${attempt}/${attempts}`);
+      const { image, pageText } = await source.capture(date);
+      const validation = await validateChartImage(image, { pageText });
+
+      if (!validation.valid) {
+        await saveRejectedCapture(date, source.name, attempt, image, validation, pageText);
+        throw new Error(`Capture rejected: ${validation.reason}`);
+      }
+
+      console.log(`[ChartSource] ${source.name}: valid image ${validation.metrics.width}x${validation.metrics.height}`);
+      return image;
+    } catch (error) {
+      lastError = error;
+      console.error(`[ChartSource] ${source.name}: attempt ${attempt} failed:`, error.message);
+
+      if (attempt < attempts) {
+        const waitTime = config.chartSources.retryDelay * 2 ** (attempt - 1);
+        console.log(`[ChartSource] Retrying in ${waitTime}ms...`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Download the chart for a date, falling back through the configured sources
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.sources] - Source names to try, in order
+ * @param {number} [options.attempts] - Attempts per source
+ * @returns {Promise<{filePath: string, source: string}>} Saved file path and the source used
+ */
+export async function downloadChart(date, {
+  sources = config.chartSources.order,
+  attempts = config.chartSources.attempts
+} = {}) {
+  const failures = [];
+
+  for (const name of sources) {
+    // A misspelled name in CHART_SOURCES skips that entry instead of aborting the whole chain
+    let source;
+    try {
+      source = getChartSource(name);
+    } catch (error) {
+      console.error(`[ChartSource] ${error.message}, skipping`);
+      failures.push(`${name}: ${error.message}`);
+      continue;
+    }
+
+    if (!source.isConfigured()) {
+      console.log(`[ChartSource] ${name}: not configured, skipping`);
+      failures.push(`${name}: not configured`);
+      continue;
+    }
+
+    if (!source.supportsDate(date)) {
+      console.log(`[ChartSource] ${name}: cannot capture ${date}, skipping`);
+      failures.push(`${name}: date ${date} not supported`);
+      continue;
+    }
+
+    try {
+      const buffer = await captureWithRetry(source, date, attempts);
+      const filePath = await saveFile('original_chart.png', buffer, date);
+
+      console.log(`[ChartSource] Chart saved from ${name}: ${filePath}`);
+      return { filePath, source: name };
+    } catch (error) {
+      failures.push(`${name}: ${error.message}`);
+      console.error(`[ChartSource] ${name} failed, trying next source`);
+    }
+  }
+
+  throw new Error(`All chart sources failed for ${date}:\n${failures.join('\n')}`);
+}
+
+registerChartSource('stockcharts', () => new StockChartsSource());
+registerChartSource('tradingview', () => new TradingViewSource());
+registerChartSource('tradingview-login', () => new TradingViewSource({ login: true }));
+registerChartSource('fixtures', () => new FixturesSource());
+
+export default {
+  registerChartSource,
+  getChartSource,
+  listChartSources,
+  getSourcesForDate,
+  downloadChart
+};
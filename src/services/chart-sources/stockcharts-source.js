@@ -0,0 +1,221 @@
+import sharp from 'sharp';
+import { config } from '../../config.js';
+import { getAsOfDate } from '../../utils/date.js';
+import { ChartSource } from './chart-source.js';
+
+/**
+ * StockCharts chart source
+ * Captures the public $SPX monthly chart (no login required)
+ */
+export class StockChartsSource extends ChartSource {
+  constructor() {
+    super('stockcharts');
+  }
+
+  isConfigured() {
+    return Boolean(config.stockcharts.chartUrl);
+  }
+
+  /**
+   * The live chart only covers the as-of date; past dates need the historical URL
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {boolean} True if the date is supported
+   */
+  supportsDate(date) {
+    return date === getAsOfDate() || Boolean(config.stockcharts.historicalChartUrl);
+  }
+
+  /**
+   * Get the chart URL for a date
+   * The live chart always shows the latest data, so any date other than the current as-of
+   * date needs config.stockcharts.historicalChartUrl with its end-date set to that day.
+   * @param {string} date - Date string in YYYY-MM-DD format
+   * @returns {string} Chart URL
+   */
+  getChartUrl(date) {
+    if (date === getAsOfDate()) {
+      return config.stockcharts.chartUrl;
+    }
+
+    if (!config.stockcharts.historicalChartUrl) {
+      throw new Error(`Cannot capture chart for past date ${date}: STOCKCHARTS_HISTORICAL_CHART_URL is not set`);
+    }
+
+    return config.stockcharts.historicalChartUrl.replaceAll('{date}', date);
+  }
+
+  /**
+   * Find the chart's bounding box from the DOM
+   * Picks the largest visible element matching config.stockcharts.chartSelector.
+   * @param {import('@playwright/test').Page} page - Playwright page object
+   * @returns {Promise<{left: number, top: number, width: number, height: number}|null>} Box in viewport pixels
+   */
+  async findChartBox(page) {
+    const { chartSelector, minChartWidth, minChartHeight } = config.stockcharts;
+
+    try {
+      const box = await page.evaluate(({ selector, minWidth, minHeight }) => {
+        let best = null;
+        for (const element of document.querySelectorAll(selector)) {
+          const rect = element.getBoundingClientRect();
+          if (rect.width < minWidth || rect.height < minHeight) continue;
+          if (!best || rect.width * rect.height > best.width * best.height) {
+            best = { left: rect.left, top: rect.top, width: rect.width, height: rect.height };
+          }
+        }
+        return best;
+      }, { selector: chartSelector, minWidth: minChartWidth, minHeight: minChartHeight });
+
+      if (box) {
+        console.log('[StockCharts] Chart element found in DOM:', box);
+      }
+      return box;
+    } catch (error) {
+      console.warn('[StockCharts] DOM chart detection failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Find the chart region by trimming uniform borders off the screenshot
+   * @param {Buffer} screenshot - Full screenshot
+   * @returns {Promise<{left: number, top: number, width: number, height: number}|null>} Box in image pixels
+   */
+  async detectBorders(screenshot) {
+    const { minChartWidth, minChartHeight } = config.stockcharts;
+    const { info } = await sharp(screenshot)
+      .trim({ threshold: 10 })
+      .toBuffer({ resolveWithObject: true });
+
+    if (info.width < minChartWidth || info.height < minChartHeight) {
+      return null;
+    }
+
+    return {
+      left: -info.trimOffsetLeft,
+      top: -info.trimOffsetTop,
+      width: info.width,
+      height: info.height
+    };
+  }
+
+  /**
+   * Decide how to crop the screenshot
+   * A named crop profile wins; in 'auto' mode the DOM box is used, then border analysis.
+   * @param {Buffer} screenshot - Full screenshot
+   * @param {Object|null} domBox - Chart box found in the DOM
+   * @returns {Promise<{box: Object, method: string}|null>} Integer crop box clamped to the image
+   */
+  async resolveCropBox(screenshot, domBox) {
+    const { cropProfile, cropProfiles } = config.stockcharts;
+    const { width: imageWidth, height: imageHeight } = await sharp(screenshot).metadata();
+
+    let box = null;
+    let method = null;
+
+    if (cropProfile !== 'auto') {
+      box = cropProfiles[cropProfile];
+      if (!box) {
+        throw new Error(`Unknown crop profile "${cropProfile}" (available: ${Object.keys(cropProfiles).join(', ')})`);
+      }
+      method = `profile:${cropProfile}`;
+    } else if (domBox) {
+      box = domBox;
+      method = 'dom';
+    } else {
+      box = await this.detectBorders(screenshot);
+      method = 'borders';
+    }
+
+    if (!box) {
+      return null;
+    }
+
+    const left = Math.max(0, Math.round(box.left));
+    const top = Math.max(0, Math.round(box.top));
+    const clamped = {
+      left,
+      top,
+      width: Math.min(Math.round(box.width), imageWidth - left),
+      height: Math.min(Math.round(box.height), imageHeight - top)
+    };
+
+    if (clamped.width <= 0 || clamped.height <= 0) {
+      return null;
+    }
+
+    return { box: clamped, method };
+  }
+
+  /**
+   * Capture and crop the StockCharts chart
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {Promise<{image: Buffer, pageText: string}>} PNG image and visible page text
+   */
+  async capture(date) {
+    const chartUrl = this.getChartUrl(date);
+
+    console.log('[StockCharts] Starting chart download...');
+    console.log('[StockCharts] Chart URL:', chartUrl);
+    console.log('[StockCharts] Date:', date);
+
+    const captured = await this.withPage(config.stockcharts.viewport, async (page) => {
+      // Navigate to chart
+      console.log('[StockCharts] Navigating to chart...');
+      await page.goto(chartUrl, {
+        waitUntil: 'load',
+        timeout: 60000
+      });
+
+      console.log('[StockCharts] Page loaded, waiting for chart to render...');
+
+      // Wait for the main chart canvas to appear
+      try {
+        // Wait for any canvas element (chart is rendered on canvas)
+        await page.waitForSelector('canvas', { timeout: 10000 });
+        console.log('[StockCharts] Canvas element detected');
+      } catch (error) {
+        console.warn('[StockCharts] Canvas not found, continuing anyway...');
+      }
+
+      // Wait for chart to fully render
+      console.log(`[StockCharts] Waiting ${config.stockcharts.waitTime}ms for chart to fully render...`);
+      await page.waitForTimeout(config.stockcharts.waitTime);
+
+      // Take full page screenshot
+      console.log('[StockCharts] Taking full page screenshot...');
+      const buffer = await page.screenshot({
+        fullPage: false,
+        type: 'png'
+      });
+
+      console.log(`[StockCharts] Screenshot captured (${buffer.length} bytes)`);
+
+      const domBox = await this.findChartBox(page);
+      const pageText = await this.getPageText(page);
+      return { buffer, domBox, pageText };
+    });
+
+    let screenshot = captured.buffer;
+    const domBox = captured.domBox;
+
+    // Crop the screenshot to the chart region
+    try {
+      const crop = await this.resolveCropBox(screenshot, domBox);
+
+      if (crop) {
+        console.log(`[StockCharts] Cropping screenshot (${crop.method}):`, crop.box);
+        const croppedBuffer = await sharp(screenshot).extract(crop.box).toBuffer();
+        console.log(`[StockCharts] Cropped screenshot (${croppedBuffer.length} bytes)`);
+        screenshot = croppedBuffer;
+      } else {
+        console.warn('[StockCharts] Chart region not detected, using full screenshot');
+      }
+    } catch (cropError) {
+      console.warn('[StockCharts] Cropping failed, using full screenshot:', cropError.message);
+      // Continue with uncropped screenshot
+    }
+
+    return { image: screenshot, pageText: captured.pageText };
+  }
+}
@@ -0,0 +1,261 @@
+import { config } from '../../config.js';
+import { getAsOfDate } from '../../utils/date.js';
+import { ChartSource } from './chart-source.js';
+
+/**
+ * TradingView chart source
+ * Uses the public share link, optionally logging in first (required for private charts
+ * and custom indicators)
+ */
+
+const POPUP_SELECTORS = [
+  'button[aria-label="Close"]',
+  'button[data-name="close"]',
+  '.tv-dialog__close',
+  '[data-role="button"][aria-label="Close"]',
+  'button:has-text("×")',
+  'button.close',
+  '[class*="close"]'
+];
+
+// Subscription and other prompts shown to logged-in users
+const LOGIN_POPUP_SELECTORS = [
+  'button:has-text("Don\'t need")',
+  'button:has-text("No thanks")',
+  'button:has-text("Maybe later")',
+  ...POPUP_SELECTORS
+];
+
+/**
+ * Login to TradingView
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {Promise<void>}
+ */
+async function loginToTradingView(page) {
+  console.log('[TradingView] Logging in...');
+  
+  // Navigate to login page
+  await page.goto('https://www.tradingview.com/', {
+    waitUntil: 'load',
+    timeout: 60000
+  });
+  
+  console.log('[TradingView] Looking for user menu...');
+  
+  // Click user menu button
+  try {
+    await page.click('button[aria-label="Open user menu"]', { timeout: 10000 });
+    console.log('[TradingView] Opened user menu');
+    await page.waitForTimeout(1000);
+  } catch (error) {
+    console.error('[TradingView] Error opening user menu:', error.message);
+    throw new Error('Could not open user menu');
+  }
+  
+  // Click "Sign in" button
+  try {
+    await page.click('button:has-text("Sign in")', { timeout: 5000 });
+    console.log('[TradingView] Clicked Sign in button');
+    await page.waitForTimeout(2000);
+  } catch (error) {
+    console.error('[TradingView] Error clicking Sign in:', error.message);
+    throw new Error('Could not click Sign in button');
+  }
+  
+  // Click "Email" option
+  try {
+    await page.click('button:has-text("Email")', { timeout: 5000 });
+    console.log('[TradingView] Clicked Email option');
+    await page.waitForTimeout(2000);
+  } catch (error) {
+    console.error('[TradingView] Error clicking Email option:', error.message);
+    throw new Error('Could not click Email option');
+  }
+  
+  console.log('[TradingView] Entering credentials...');
+  
+  // Wait for login form
+  try {
+    await page.waitForSelector('input#id_username', { timeout: 10000 });
+  } catch (error) {
+    console.error('[TradingView] Login form not found');
+    throw new Error('Login form not found');
+  }
+  
+  // Fill in username/email
+  await page.fill('input#id_username', config.tradingview.username);
+  await page.waitForTimeout(500);
+  
+  // Fill in password
+  await page.fill('input#id_password', config.tradingview.password);
+  await page.waitForTimeout(500);
+  
+  console.log('[TradingView] Submitting login form...');
+  
+  // Click submit button
+  try {
+    await page.click('button:has-text("Sign in")', { timeout: 5000 });
+    console.log('[TradingView] Clicked Sign in submit button');
+  } catch (error) {
+    console.error('[TradingView] Error submitting login:', error.message);
+    throw new Error('Could not submit login form');
+  }
+  
+  // Wait for login to complete
+  console.log('[TradingView] Waiting for login to complete...');
+  await page.waitForTimeout(5000);
+  
+  // Check if login was successful by checking if we're redirected or dialog closed
+  try {
+    // Wait for the login dialog to disappear
+    await page.waitForSelector('button[aria-label="Open user menu"]', {
+      timeout: 10000,
+      state: 'visible'
+    });
+    console.log('[TradingView] Login successful ✓');
+  } catch (error) {
+    console.warn('[TradingView] Could not verify login success, continuing anyway...');
+  }
+}
+
+/**
+ * Close any popups/dialogs (try multiple times)
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string[]} selectors - Close button selectors
+ * @param {number} attempts - Number of passes
+ * @param {number} clickWait - Milliseconds to wait after each closed popup
+ * @param {number} passWait - Milliseconds to wait after each pass
+ * @returns {Promise<void>}
+ */
+async function closePopups(page, selectors, attempts, clickWait, passWait) {
+  console.log('[TradingView] Attempting to close popups...');
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      let closedAny = false;
+      for (const selector of selectors) {
+        const closeButtons = await page.$$(selector);
+        for (const button of closeButtons) {
+          try {
+            await button.click({ timeout: 2000 });
+            console.log(`[TradingView] Closed popup using selector: ${selector}`);
+            closedAny = true;
+            await page.waitForTimeout(clickWait);
+          } catch (err) {
+            // Button not clickable, skip
+          }
+        }
+      }
+
+      if (!closedAny && attempt === 1) {
+        console.log('[TradingView] No popups detected on first attempt');
+      }
+
+      await page.waitForTimeout(passWait);
+    } catch (error) {
+      console.log(`[TradingView] Popup close attempt ${attempt} error:`, error.message);
+    }
+  }
+
+  console.log('[TradingView] Popup handling complete');
+}
+
+export class TradingViewSource extends ChartSource {
+  /**
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.login=false] - Log in before opening the chart
+   */
+  constructor({ login = false } = {}) {
+    super(login ? 'tradingview-login' : 'tradingview');
+    this.login = login;
+  }
+
+  isConfigured() {
+    if (!config.tradingview.chartUrl) {
+      return false;
+    }
+    return !this.login || Boolean(config.tradingview.username && config.tradingview.password);
+  }
+
+  /**
+   * The share link always shows live data, so only the as-of date is supported
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {boolean} True if the date is supported
+   */
+  supportsDate(date) {
+    return date === getAsOfDate();
+  }
+
+  /**
+   * Capture the TradingView chart
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {Promise<{image: Buffer, pageText: string}>} PNG image and visible page text
+   */
+  async capture(date) {
+    console.log(`[TradingView] Starting chart download${this.login ? ' with login' : ''}...`);
+    console.log(`[TradingView] Chart URL: ${config.tradingview.chartUrl}`);
+    console.log(`[TradingView] Date: ${date}`);
+
+    if (this.login && (!config.tradingview.username || !config.tradingview.password)) {
+      throw new Error('TradingView credentials not configured. Set TRADINGVIEW_USERNAME and TRADINGVIEW_PASSWORD in .env');
+    }
+
+    return this.withPage(config.tradingview.viewport, async (page) => {
+      // Login first
+      if (this.login) {
+        await loginToTradingView(page);
+      }
+
+      // Navigate to chart
+      console.log('[TradingView] Navigating to chart...');
+      await page.goto(config.tradingview.chartUrl, {
+        waitUntil: 'load',
+        timeout: 90000
+      });
+
+      console.log('[TradingView] Page loaded, waiting for chart to render...');
+
+      // Wait for chart to load
+      // TradingView charts typically have a canvas element
+      try {
+        await page.waitForSelector('canvas', { timeout: 10000 });
+        console.log('[TradingView] Chart canvas detected');
+      } catch (error) {
+        console.warn('[TradingView] Canvas not detected, continuing anyway...');
+      }
+
+      if (this.login) {
+        await closePopups(page, LOGIN_POPUP_SELECTORS, 5, 1500, 2000);
+      } else {
+        await closePopups(page, POPUP_SELECTORS, 3, 1000, 1000);
+      }
+
+      // Wait for chart to fully render
+      console.log(`[TradingView] Waiting ${config.tradingview.waitTime}ms for chart to fully render...`);
+      await page.waitForTimeout(config.tradingview.waitTime);
+
+      // Final popup check before screenshot
+      console.log('[TradingView] Final popup check before screenshot...');
+      try {
+        const closeButtons = await page.$$('button[aria-label="Close"]');
+        for (const button of closeButtons) {
+          try {
+            await button.click({ timeout: 1000 });
+            console.log('[TradingView] Closed final popup');
+            await page.waitForTimeout(500);
+          } catch {}
+        }
+      } catch {}
+
+      // Take screenshot
+      console.log('[TradingView] Taking screenshot...');
+      const screenshot = await page.screenshot({
+        fullPage: false,
+        type: 'png'
+      });
+
+      console.log(`[TradingView] Screenshot captured (${screenshot.length} bytes)`);
+      return { image: screenshot, pageText: await this.getPageText(page) };
+    });
+  }
+}
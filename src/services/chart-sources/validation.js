@@ -0,0 +1,109 @@
+import sharp from 'sharp';
+import { config } from '../../config.js';
+
+/**
+ * Chart Capture Validation
+ *
+ * Rejects captures that do not contain a usable chart: near-blank or single-colour images,
+ * images outside the expected size range, and pages showing known overlay/error text.
+ */
+
+/**
+ * Measure how much of the image is covered by its most common colour
+ * Colours are quantized to 4 bits per channel on a downscaled copy.
+ * @param {Buffer} image - Image buffer
+ * @returns {Promise<number>} Ratio between 0 and 1
+ */
+async function getDominantColorRatio(image) {
+  const { data, info } = await sharp(image)
+    .resize({ width: 200, height: 200, fit: 'inside' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const counts = new Map();
+  let max = 0;
+
+  for (let i = 0; i < data.length; i += info.channels) {
+    const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+    const count = (counts.get(key) || 0) + 1;
+    counts.set(key, count);
+    max = Math.max(max, count);
+  }
+
+  return max / (info.width * info.height);
+}
+
+/**
+ * Find known overlay/error phrases in the captured page text
+ * @param {string} [pageText] - Visible text of the page
+ * @returns {string|null} First matching phrase or null
+ */
+function findBlockedText(pageText) {
+  if (!pageText) {
+    return null;
+  }
+
+  const text = pageText.toLowerCase();
+  return config.chartValidation.blockedText.find(phrase => text.includes(phrase.toLowerCase())) || null;
+}
+
+/**
+ * Validate a captured chart
+ * @param {Buffer} image - Captured PNG
+ * @param {Object} [options] - Options
+ * @param {string} [options.pageText] - Visible text of the page the image was taken from
+ * @returns {Promise<{valid: boolean, reason: string|null, metrics: Object}>} Validation result
+ */
+export async function validateChartImage(image, { pageText } = {}) {
+  const rules = config.chartValidation;
+  const metrics = { bytes: image ? image.length : 0 };
+  const reject = reason => ({ valid: false, reason, metrics });
+
+  if (!image || image.length < rules.minBytes) {
+    return reject(`Image too small (${metrics.bytes} bytes, minimum ${rules.minBytes})`);
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(image).metadata();
+  } catch (error) {
+    return reject(`Image could not be decoded: ${error.message}`);
+  }
+
+  metrics.width = metadata.width;
+  metrics.height = metadata.height;
+
+  if (metadata.width < rules.minWidth || metadata.height < rules.minHeight) {
+    return reject(`Image dimensions ${metadata.width}x${metadata.height} below minimum ${rules.minWidth}x${rules.minHeight}`);
+  }
+
+  if (metadata.width > rules.maxWidth || metadata.height > rules.maxHeight) {
+    return reject(`Image dimensions ${metadata.width}x${metadata.height} above maximum ${rules.maxWidth}x${rules.maxHeight}`);
+  }
+
+  const stats = await sharp(image).removeAlpha().stats();
+  metrics.maxStdev = Math.max(...stats.channels.map(channel => channel.stdev));
+
+  if (metrics.maxStdev < rules.minStdev) {
+    return reject(`Image is nearly blank (pixel stdev ${metrics.maxStdev.toFixed(2)}, minimum ${rules.minStdev})`);
+  }
+
+  metrics.dominantColorRatio = await getDominantColorRatio(image);
+
+  if (metrics.dominantColorRatio > rules.maxDominantColorRatio) {
+    return reject(`Image is almost a single colour (${(metrics.dominantColorRatio * 100).toFixed(1)}% of pixels)`);
+  }
+
+  const blocked = findBlockedText(pageText);
+  if (blocked) {
+    metrics.blockedText = blocked;
+    return reject(`Page shows overlay/error text: "${blocked}"`);
+  }
+
+  return { valid: true, reason: null, metrics };
+}
+
+export default {
+  validateChartImage
+};
@@ -1,13 +1,91 @@
 /**
  * Database Service - PostgreSQL with Granular Schema
  * 
- * Manages secular_analysis table with flattened columns for each JSON field.
+ * Manages secular_analysis table with flattened columns for each JSON field, and
+ * secular_scenarios with one row per scenario.
  * See FIELD_MAPPING.md for complete column-to-JSON mapping.
  */
 
 import pg from 'pg';
 const { Pool } = pg;
 
+// Return DATE columns as plain YYYY-MM-DD strings. The default parser builds a Date at
+// server-local midnight, which shifts the day when serialized with toISOString().
+pg.types.setTypeParser(pg.types.builtins.DATE, value => value);
+
+/**
+ * secular_scenarios columns besides id, analysis_id and ordinal
+ * summary is the scenario's layer3.scenario_summary line.
+ */
+const SCENARIO_COLUMNS = [
+  'scenario_id', 'name', 'probability', 'path_summary', 'technical_logic', 'target_zone',
+  'expected_move_min', 'expected_move_max', 'risk_profile', 'summary'
+];
+
+// Per-scenario columns of the original schema: copied to secular_scenarios by migrateScenarios(),
+// dropped by dropLegacyScenarioColumns()
+const LEGACY_SCENARIO_SLOTS = [1, 2, 3, 4].map(n => ({
+  ordinal: n,
+  columns: [
+    `scenario${n}_id`, `scenario${n}_name`, `scenario${n}_probability`,
+    `scenario${n}_path_summary`, `scenario${n}_technical_logic`, `scenario${n}_target_zone`,
+    `scenario${n}_expected_move_min`, `scenario${n}_expected_move_max`, `scenario${n}_risk_profile`,
+    `scenario_summary_${n}`
+  ]
+}));
+
+// A row's scenarios as a JSON array ordered by ordinal, selected as the "scenarios" column
+const SCENARIOS_SQL = `COALESCE((
+        SELECT jsonb_agg(to_jsonb(s) - 'id' - 'analysis_id' ORDER BY s.ordinal)
+        FROM secular_scenarios s
+        WHERE s.analysis_id = secular_analysis.id
+      ), '[]'::jsonb)`;
+
+// Selectable fields that are computed instead of stored in secular_analysis
+const COMPUTED_COLUMNS = {
+  scenarios: SCENARIOS_SQL
+};
+
+/**
+ * Named column groups for field selection in listAnalyses()
+ * id and asof_date are always returned.
+ */
+export const FIELD_GROUPS = {
+  layer1: [
+    'secular_trend', 'secular_regime_status', 'channel_position',
+    'recent_behavior_summary', 'interpretation', 'risk_bias', 'summary_signal'
+  ],
+  layer2: [
+    'dominant_dynamics', 'overall_bias', 'secular_summary',
+    'scenarios',
+    'scenario_changes'
+  ],
+  layer3: [
+    'scenarios',
+    'primary_message',
+    'layer3_translations'
+  ],
+  files: ['original_chart_url', 'annotated_chart_url', 'annotator', 'annotation_diff_url', 'zones_chart_url'],
+  change: ['chart_hash', 'carried_forward', 'carried_forward_from'],
+  checks: ['warnings', 'integrity_score', 'integrity_status'],
+  ensemble: ['disagreement_score', 'ensemble'],
+  timestamps: ['created_at', 'updated_at']
+};
+
+const ALL_COLUMNS = [...new Set(Object.values(FIELD_GROUPS).flat())];
+
+/**
+ * Build a SELECT list entry for a column (computed columns are aliased)
+ * @param {string} column - Column from resolveColumns()
+ * @returns {string} SQL expression
+ */
+function selectColumn(column) {
+  return COMPUTED_COLUMNS[column] ? `${COMPUTED_COLUMNS[column]} AS ${column}` : column;
+}
+
+// SELECT list of a full analysis record: every known column, never the legacy scenario columns
+const ANALYSIS_SELECT = ['id', 'asof_date', ...ALL_COLUMNS].map(selectColumn).join(', ');
+
 class Database {
   constructor() {
     if (!process.env.DATABASE_URL) {
@@ -33,7 +111,8 @@ class Database {
 
   /**
    * Initialize database schema
-   * Creates secular_analysis table with 57 columns
+   * Creates the secular_analysis and secular_scenarios tables, then copies scenarios still
+   * stored in the original per-scenario columns (see migrateScenarios(); nothing is dropped).
    */
   async initialize() {
     const createTableSQL = `
@@ -56,55 +135,7 @@ class Database {
         overall_bias TEXT,
         secular_summary TEXT,
         
-        -- Layer 2: Scenario 1 (9 columns)
-        scenario1_id VARCHAR(10),
-        scenario1_name VARCHAR(100),
-        scenario1_probability DECIMAL(5,4),
-        scenario1_path_summary TEXT,
-        scenario1_technical_logic TEXT,
-        scenario1_target_zone TEXT,
-        scenario1_expected_move_min DECIMAL(6,2),
-        scenario1_expected_move_max DECIMAL(6,2),
-        scenario1_risk_profile TEXT,
-        
-        -- Layer 2: Scenario 2 (9 columns)
-        scenario2_id VARCHAR(10),
-        scenario2_name VARCHAR(100),
-        scenario2_probability DECIMAL(5,4),
-        scenario2_path_summary TEXT,
-        scenario2_technical_logic TEXT,
-        scenario2_target_zone TEXT,
-        scenario2_expected_move_min DECIMAL(6,2),
-        scenario2_expected_move_max DECIMAL(6,2),
-        scenario2_risk_profile TEXT,
-        
-        -- Layer 2: Scenario 3 (9 columns)
-        scenario3_id VARCHAR(10),
-        scenario3_name VARCHAR(100),
-        scenario3_probability DECIMAL(5,4),
-        scenario3_path_summary TEXT,
-        scenario3_technical_logic TEXT,
-        scenario3_target_zone TEXT,
-        scenario3_expected_move_min DECIMAL(6,2),
-        scenario3_expected_move_max DECIMAL(6,2),
-        scenario3_risk_profile TEXT,
-        
-        -- Layer 2: Scenario 4 (9 columns)
-        scenario4_id VARCHAR(10),
-        scenario4_name VARCHAR(100),
-        scenario4_probability DECIMAL(5,4),
-        scenario4_path_summary TEXT,
-        scenario4_technical_logic TEXT,
-        scenario4_target_zone TEXT,
-        scenario4_expected_move_min DECIMAL(6,2),
-        scenario4_expected_move_max DECIMAL(6,2),
-        scenario4_risk_profile TEXT,
-        
-        -- Layer 3: Summary Fields (5 columns)
-        scenario_summary_1 TEXT,
-        scenario_summary_2 TEXT,
-        scenario_summary_3 TEXT,
-        scenario_summary_4 TEXT,
+        -- Layer 3: Primary Message (scenario summaries are in secular_scenarios)
         primary_message TEXT,
         
         -- File References (2 columns)
@@ -112,12 +143,129 @@ class Database {
         annotated_chart_url TEXT,
         
         -- Timestamps (2 columns)
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
       );
 
       CREATE INDEX IF NOT EXISTS idx_secular_analysis_asof_date 
       ON secular_analysis(asof_date DESC);
+
+      -- Layer 2 scenarios with their Layer 3 summary line, one row per scenario
+      -- (ordinal = position in layer2.scenario_analysis.scenarios, from 1)
+      CREATE TABLE IF NOT EXISTS secular_scenarios (
+        id SERIAL PRIMARY KEY,
+        analysis_id INTEGER NOT NULL REFERENCES secular_analysis(id) ON DELETE CASCADE,
+        ordinal SMALLINT NOT NULL,
+        scenario_id VARCHAR(10),
+        name VARCHAR(100),
+        probability DECIMAL(5,4),
+        path_summary TEXT,
+        technical_logic TEXT,
+        target_zone TEXT,
+        expected_move_min DECIMAL(6,2),
+        expected_move_max DECIMAL(6,2),
+        risk_profile TEXT,
+        summary TEXT,
+        UNIQUE (analysis_id, ordinal)
+      );
+
+      -- Timestamps with time zone, so node-pg does not read them in the process time zone
+      -- (existing values are interpreted in the session time zone that wrote them)
+      DO $$
+      BEGIN
+        IF (SELECT data_type FROM information_schema.columns
+            WHERE table_schema = current_schema() AND table_name = 'secular_analysis' AND column_name = 'updated_at')
+            = 'timestamp without time zone' THEN
+          ALTER TABLE secular_analysis
+            ALTER COLUMN created_at TYPE TIMESTAMPTZ,
+            ALTER COLUMN updated_at TYPE TIMESTAMPTZ;
+        END IF;
+      END $$;
+
+      -- Change detection (added after the initial schema)
+      ALTER TABLE secular_analysis ADD COLUMN IF NOT EXISTS chart_hash VARCHAR(16);
+      ALTER TABLE secular_analysis ADD COLUMN IF NOT EXISTS carried_forward BOOLEAN NOT NULL DEFAULT FALSE;
+      ALTER TABLE secular_analysis ADD COLUMN IF NOT EXISTS carried_forward_from DATE;
+
+      -- Consistency check warnings (added after the initial schema)
+      ALTER TABLE secular_analysis ADD COLUMN IF NOT EXISTS warnings JSONB NOT NULL DEFAULT '[]';
+
+      -- Scenario changes versus previous analyses (added after the initial schema)
+      ALTER TABLE secular_analysis ADD COLUMN IF NOT EXISTS scenario_changes JSONB NOT NULL DEFAULT '[]';
+
+      -- Layer 3 translated per locale, e.g. {"zh-TW": {"scenario_summary": [...], "primary_message": "..."}} (added after the initial schema)
+      ALTER TABLE secular_analysis ADD COLUMN IF NOT EXISTS layer3_translations JSONB NOT NULL DEFAULT '{}';
+
+      -- Which annotator drew annotated_chart.png: gemini or local (added after the initial schema)
+      ALTER TABLE secular_analysis ADD COLUMN IF NOT EXISTS annotator VARCHAR(20);
+
+      -- Pixel-integrity check of Gemini annotations (added after the initial schema)
+      ALTER TABLE secular_analysis ADD COLUMN IF NOT EXISTS integrity_score DECIMAL(5,4);
+      ALTER TABLE secular_analysis ADD COLUMN IF NOT EXISTS integrity_status VARCHAR(20);
+      ALTER TABLE secular_analysis ADD COLUMN IF NOT EXISTS annotation_diff_url TEXT;
+
+      -- Scenario target zones drawn on the chart (added after the initial schema)
+      ALTER TABLE secular_analysis ADD COLUMN IF NOT EXISTS zones_chart_url TEXT;
+
+      -- Multi-model ensemble: consensus disagreement and member results (added after the initial schema)
+      ALTER TABLE secular_analysis ADD COLUMN IF NOT EXISTS disagreement_score DECIMAL(5,4);
+      ALTER TABLE secular_analysis ADD COLUMN IF NOT EXISTS ensemble JSONB;
+
+      -- Pipeline job tracking (download -> analyze -> annotate -> save)
+      CREATE TABLE IF NOT EXISTS pipeline_runs (
+        id SERIAL PRIMARY KEY,
+        asof_date DATE NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued',
+        triggered_by VARCHAR(50),
+        steps JSONB NOT NULL DEFAULT '{}'::jsonb,
+        error TEXT,
+        analysis_id INTEGER REFERENCES secular_analysis(id) ON DELETE SET NULL,
+        started_at TIMESTAMP,
+        finished_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_pipeline_runs_created_at
+      ON pipeline_runs(created_at DESC);
+
+      -- Archived analysis calls (prompts, raw responses, metadata, token usage)
+      CREATE TABLE IF NOT EXISTS analysis_calls (
+        id SERIAL PRIMARY KEY,
+        asof_date DATE NOT NULL,
+        provider VARCHAR(50) NOT NULL,
+        model VARCHAR(100),
+        status VARCHAR(20) NOT NULL,
+        prompt_tokens INTEGER NOT NULL DEFAULT 0,
+        completion_tokens INTEGER NOT NULL DEFAULT 0,
+        total_tokens INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        archive JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_analysis_calls_asof_date
+      ON analysis_calls(asof_date DESC);
+
+      -- Token, image and cost accounting for every OpenAI/Gemini call
+      CREATE TABLE IF NOT EXISTS ai_usage (
+        id SERIAL PRIMARY KEY,
+        asof_date DATE NOT NULL,
+        billing_month VARCHAR(7) NOT NULL,
+        service VARCHAR(20) NOT NULL,
+        operation VARCHAR(20) NOT NULL,
+        model VARCHAR(100),
+        prompt_tokens INTEGER NOT NULL DEFAULT 0,
+        completion_tokens INTEGER NOT NULL DEFAULT 0,
+        images INTEGER NOT NULL DEFAULT 0,
+        cost_usd NUMERIC(12,6) NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_ai_usage_asof_date
+      ON ai_usage(asof_date DESC);
+
+      CREATE INDEX IF NOT EXISTS idx_ai_usage_billing_month
+      ON ai_usage(billing_month);
     `;
 
     try {
@@ -127,34 +275,27 @@ class Database {
       console.error('[Database] Schema initialization failed:', error);
       throw error;
     }
+
+    // Idempotent, so every start picks up rows written by a previous build
+    try {
+      await this.migrateScenarios();
+    } catch (error) {
+      console.warn(`[Database] Legacy scenarios not copied: ${error.message}`);
+    }
   }
 
   /**
    * Map JSON analysis to database row
+   * Scenarios are mapped separately by mapAnalysisToScenarioRows().
    * @param {Object} analysis - Analysis object with layer1, layer2, layer3
    * @returns {Object} Mapped row data
    */
   mapAnalysisToRow(analysis) {
-    const { layer1, layer2, layer3, original_chart_url, annotated_chart_url } = analysis;
-    
-    // Extract scenarios array
-    const scenarios = layer2?.scenario_analysis?.scenarios || [];
-    
-    // Helper to safely get scenario field
-    const getScenario = (index, field, arrayIndex = null) => {
-      const scenario = scenarios[index];
-      if (!scenario) return null;
-      const value = scenario[field];
-      // If arrayIndex is provided, extract element from array
-      if (arrayIndex !== null && Array.isArray(value)) {
-        return value[arrayIndex];
-      }
-      return value;
-    };
+    const { asof_date, layer1, layer2, layer3, original_chart_url, annotated_chart_url } = analysis;
 
     return {
-      // Core
-      asof_date: layer1?.asof_date,
+      // Core (requested as-of date takes precedence over the date reported by the model)
+      asof_date: asof_date || layer1?.asof_date,
       
       // Layer 1 (7 fields)
       secular_trend: layer1?.secular_trend,
@@ -169,188 +310,186 @@ class Database {
       dominant_dynamics: layer2?.scenario_analysis?.dominant_dynamics,
       overall_bias: layer2?.scenario_analysis?.overall_bias,
       secular_summary: layer2?.scenario_analysis?.secular_summary,
+
+      // Scenario changes versus previous analyses (previous-analysis context only)
+      scenario_changes: JSON.stringify(layer2?.scenario_analysis?.scenario_changes || []),
       
-      // Scenario 1 (9 fields)
-      scenario1_id: getScenario(0, 'scenario_id'),
-      scenario1_name: getScenario(0, 'name'),
-      scenario1_probability: getScenario(0, 'probability'),
-      scenario1_path_summary: getScenario(0, 'path_summary'),
-      scenario1_technical_logic: getScenario(0, 'technical_logic'),
-      scenario1_target_zone: getScenario(0, 'target_zone_description'),
-      scenario1_expected_move_min: getScenario(0, 'expected_move_percent', 0),
-      scenario1_expected_move_max: getScenario(0, 'expected_move_percent', 1),
-      scenario1_risk_profile: getScenario(0, 'risk_profile'),
-      
-      // Scenario 2 (9 fields)
-      scenario2_id: getScenario(1, 'scenario_id'),
-      scenario2_name: getScenario(1, 'name'),
-      scenario2_probability: getScenario(1, 'probability'),
-      scenario2_path_summary: getScenario(1, 'path_summary'),
-      scenario2_technical_logic: getScenario(1, 'technical_logic'),
-      scenario2_target_zone: getScenario(1, 'target_zone_description'),
-      scenario2_expected_move_min: getScenario(1, 'expected_move_percent', 0),
-      scenario2_expected_move_max: getScenario(1, 'expected_move_percent', 1),
-      scenario2_risk_profile: getScenario(1, 'risk_profile'),
-      
-      // Scenario 3 (9 fields)
-      scenario3_id: getScenario(2, 'scenario_id'),
-      scenario3_name: getScenario(2, 'name'),
-      scenario3_probability: getScenario(2, 'probability'),
-      scenario3_path_summary: getScenario(2, 'path_summary'),
-      scenario3_technical_logic: getScenario(2, 'technical_logic'),
-      scenario3_target_zone: getScenario(2, 'target_zone_description'),
-      scenario3_expected_move_min: getScenario(2, 'expected_move_percent', 0),
-      scenario3_expected_move_max: getScenario(2, 'expected_move_percent', 1),
-      scenario3_risk_profile: getScenario(2, 'risk_profile'),
-      
-      // Scenario 4 (9 fields)
-      scenario4_id: getScenario(3, 'scenario_id'),
-      scenario4_name: getScenario(3, 'name'),
-      scenario4_probability: getScenario(3, 'probability'),
-      scenario4_path_summary: getScenario(3, 'path_summary'),
-      scenario4_technical_logic: getScenario(3, 'technical_logic'),
-      scenario4_target_zone: getScenario(3, 'target_zone_description'),
-      scenario4_expected_move_min: getScenario(3, 'expected_move_percent', 0),
-      scenario4_expected_move_max: getScenario(3, 'expected_move_percent', 1),
-      scenario4_risk_profile: getScenario(3, 'risk_profile'),
-      
-      // Layer 3 (5 fields)
-      scenario_summary_1: layer3?.scenario_summary?.[0],
-      scenario_summary_2: layer3?.scenario_summary?.[1],
-      scenario_summary_3: layer3?.scenario_summary?.[2],
-      scenario_summary_4: layer3?.scenario_summary?.[3],
+      // Layer 3 (scenario summaries are stored with the scenarios)
       primary_message: layer3?.primary_message,
+      layer3_translations: JSON.stringify(analysis.layer3_translations || {}),
       
       // File references
       original_chart_url: original_chart_url || null,
-      annotated_chart_url: annotated_chart_url || null
+      annotated_chart_url: annotated_chart_url || null,
+      annotator: analysis.annotator || null,
+      annotation_diff_url: analysis.annotation_diff_url || null,
+      zones_chart_url: analysis.zones_chart_url || null,
+
+      // Change detection
+      chart_hash: analysis.chart_hash || null,
+      carried_forward: Boolean(analysis.carried_forward),
+      carried_forward_from: analysis.carried_forward_from || null,
+
+      // Consistency checks
+      warnings: JSON.stringify(analysis.warnings || []),
+      integrity_score: analysis.integrity_score ?? null,
+      integrity_status: analysis.integrity_status || null,
+
+      // Multi-model ensemble (null for single-model analyses)
+      disagreement_score: analysis.disagreement_score ?? null,
+      ensemble: analysis.ensemble ? JSON.stringify(analysis.ensemble) : null
+    };
+  }
+
+  /**
+   * Map the scenarios of a JSON analysis to secular_scenarios rows
+   * Scenario i and layer3.scenario_summary[i] share a row, so every scenario and every summary
+   * line is kept even if their counts differ.
+   * @param {Object} analysis - Analysis object with layer2, layer3
+   * @returns {Object[]} Rows with ordinal (from 1) and SCENARIO_COLUMNS
+   */
+  mapAnalysisToScenarioRows(analysis) {
+    const scenarios = analysis.layer2?.scenario_analysis?.scenarios || [];
+    const summaries = analysis.layer3?.scenario_summary || [];
+
+    return Array.from({ length: Math.max(scenarios.length, summaries.length) }, (_, index) => {
+      const scenario = scenarios[index] || {};
+      const move = Array.isArray(scenario.expected_move_percent) ? scenario.expected_move_percent : [];
+
+      return {
+        ordinal: index + 1,
+        scenario_id: scenario.scenario_id ?? null,
+        name: scenario.name ?? null,
+        probability: scenario.probability ?? null,
+        path_summary: scenario.path_summary ?? null,
+        technical_logic: scenario.technical_logic ?? null,
+        target_zone: scenario.target_zone_description ?? null,
+        expected_move_min: move[0] ?? null,
+        expected_move_max: move[1] ?? null,
+        risk_profile: scenario.risk_profile ?? null,
+        summary: summaries[index] ?? null
+      };
+    });
+  }
+
+  /**
+   * Map database row back to JSON analysis (inverse of mapAnalysisToRow)
+   * @param {Object} row - secular_analysis row with its scenarios column
+   * @returns {Object} Analysis object with layer1, layer2, layer3
+   */
+  mapRowToAnalysis(row) {
+    const toNumber = value => (value === null || value === undefined ? null : Number(value));
+    const scenarioRows = row.scenarios || [];
+
+    const scenarios = scenarioRows
+      .filter(scenario => scenario.scenario_id !== null || scenario.name !== null)
+      .map(scenario => ({
+        scenario_id: scenario.scenario_id,
+        name: scenario.name,
+        probability: toNumber(scenario.probability),
+        path_summary: scenario.path_summary,
+        technical_logic: scenario.technical_logic,
+        target_zone_description: scenario.target_zone,
+        expected_move_percent: [
+          toNumber(scenario.expected_move_min),
+          toNumber(scenario.expected_move_max)
+        ],
+        risk_profile: scenario.risk_profile
+      }));
+
+    return {
+      asof_date: row.asof_date,
+      layer1: {
+        asof_date: row.asof_date,
+        secular_trend: row.secular_trend,
+        secular_regime_status: row.secular_regime_status,
+        channel_position: row.channel_position,
+        recent_behavior_summary: row.recent_behavior_summary,
+        interpretation: row.interpretation,
+        risk_bias: row.risk_bias,
+        summary_signal: row.summary_signal
+      },
+      layer2: {
+        scenario_analysis: {
+          dominant_dynamics: row.dominant_dynamics,
+          overall_bias: row.overall_bias,
+          secular_summary: row.secular_summary,
+          scenarios,
+          scenario_changes: row.scenario_changes || []
+        }
+      },
+      layer3: {
+        scenario_summary: scenarioRows
+          .map(scenario => scenario.summary)
+          .filter(summary => summary !== null),
+        primary_message: row.primary_message
+      },
+      layer3_translations: row.layer3_translations || {},
+      original_chart_url: row.original_chart_url,
+      annotated_chart_url: row.annotated_chart_url,
+      annotator: row.annotator,
+      annotation_diff_url: row.annotation_diff_url,
+      zones_chart_url: row.zones_chart_url,
+      integrity_score: toNumber(row.integrity_score),
+      integrity_status: row.integrity_status,
+      disagreement_score: toNumber(row.disagreement_score),
+      ensemble: row.ensemble
     };
   }
 
   /**
    * Save or update analysis (upsert)
+   * Columns are taken from mapAnalysisToRow(), so new fields only need to be added there.
+   * The day's secular_scenarios rows are replaced in the same transaction.
    * @param {Object} analysis - Analysis object with layer1, layer2, layer3
-   * @returns {Object} Saved record
+   * @returns {Object} Saved record with its scenarios
    */
   async saveAnalysis(analysis) {
     const row = this.mapAnalysisToRow(analysis);
-    
+    const scenarioRows = this.mapAnalysisToScenarioRows(analysis);
+    const columns = Object.keys(row);
+    const placeholders = columns.map((_, index) => `$${index + 1}`);
+    const updates = columns
+      .filter(column => column !== 'asof_date')
+      .map(column => `${column} = EXCLUDED.${column}`);
+
     const upsertSQL = `
-      INSERT INTO secular_analysis (
-        asof_date,
-        secular_trend, secular_regime_status, channel_position,
-        recent_behavior_summary, interpretation, risk_bias, summary_signal,
-        dominant_dynamics, overall_bias, secular_summary,
-        scenario1_id, scenario1_name, scenario1_probability, scenario1_path_summary,
-        scenario1_technical_logic, scenario1_target_zone, scenario1_expected_move_min,
-        scenario1_expected_move_max, scenario1_risk_profile,
-        scenario2_id, scenario2_name, scenario2_probability, scenario2_path_summary,
-        scenario2_technical_logic, scenario2_target_zone, scenario2_expected_move_min,
-        scenario2_expected_move_max, scenario2_risk_profile,
-        scenario3_id, scenario3_name, scenario3_probability, scenario3_path_summary,
-        scenario3_technical_logic, scenario3_target_zone, scenario3_expected_move_min,
-        scenario3_expected_move_max, scenario3_risk_profile,
-        scenario4_id, scenario4_name, scenario4_probability, scenario4_path_summary,
-        scenario4_technical_logic, scenario4_target_zone, scenario4_expected_move_min,
-        scenario4_expected_move_max, scenario4_risk_profile,
-        scenario_summary_1, scenario_summary_2, scenario_summary_3, scenario_summary_4,
-        primary_message,
-        original_chart_url, annotated_chart_url
-      ) VALUES (
-        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11,
-        $12, $13, $14, $15, $16, $17, $18, $19, $20,
-        $21, $22, $23, $24, $25, $26, $27, $28, $29,
-        $30, $31, $32, $33, $34, $35, $36, $37, $38,
-        $39, $40, $41, $42, $43, $44, $45, $46, $47,
-        $48, $49, $50, $51, $52, $53, $54
-      )
+      INSERT INTO secular_analysis (${columns.join(', ')})
+      VALUES (${placeholders.join(', ')})
       ON CONFLICT (asof_date) DO UPDATE SET
-        secular_trend = EXCLUDED.secular_trend,
-        secular_regime_status = EXCLUDED.secular_regime_status,
-        channel_position = EXCLUDED.channel_position,
-        recent_behavior_summary = EXCLUDED.recent_behavior_summary,
-        interpretation = EXCLUDED.interpretation,
-        risk_bias = EXCLUDED.risk_bias,
-        summary_signal = EXCLUDED.summary_signal,
-        dominant_dynamics = EXCLUDED.dominant_dynamics,
-        overall_bias = EXCLUDED.overall_bias,
-        secular_summary = EXCLUDED.secular_summary,
-        scenario1_id = EXCLUDED.scenario1_id,
-        scenario1_name = EXCLUDED.scenario1_name,
-        scenario1_probability = EXCLUDED.scenario1_probability,
-        scenario1_path_summary = EXCLUDED.scenario1_path_summary,
-        scenario1_technical_logic = EXCLUDED.scenario1_technical_logic,
-        scenario1_target_zone = EXCLUDED.scenario1_target_zone,
-        scenario1_expected_move_min = EXCLUDED.scenario1_expected_move_min,
-        scenario1_expected_move_max = EXCLUDED.scenario1_expected_move_max,
-        scenario1_risk_profile = EXCLUDED.scenario1_risk_profile,
-        scenario2_id = EXCLUDED.scenario2_id,
-        scenario2_name = EXCLUDED.scenario2_name,
-        scenario2_probability = EXCLUDED.scenario2_probability,
-        scenario2_path_summary = EXCLUDED.scenario2_path_summary,
-        scenario2_technical_logic = EXCLUDED.scenario2_technical_logic,
-        scenario2_target_zone = EXCLUDED.scenario2_target_zone,
-        scenario2_expected_move_min = EXCLUDED.scenario2_expected_move_min,
-        scenario2_expected_move_max = EXCLUDED.scenario2_expected_move_max,
-        scenario2_risk_profile = EXCLUDED.scenario2_risk_profile,
-        scenario3_id = EXCLUDED.scenario3_id,
-        scenario3_name = EXCLUDED.scenario3_name,
-        scenario3_probability = EXCLUDED.scenario3_probability,
-        scenario3_path_summary = EXCLUDED.scenario3_path_summary,
-        scenario3_technical_logic = EXCLUDED.scenario3_technical_logic,
-        scenario3_target_zone = EXCLUDED.scenario3_target_zone,
-        scenario3_expected_move_min = EXCLUDED.scenario3_expected_move_min,
-        scenario3_expected_move_max = EXCLUDED.scenario3_expected_move_max,
-        scenario3_risk_profile = EXCLUDED.scenario3_risk_profile,
-        scenario4_id = EXCLUDED.scenario4_id,
-        scenario4_name = EXCLUDED.scenario4_name,
-        scenario4_probability = EXCLUDED.scenario4_probability,
-        scenario4_path_summary = EXCLUDED.scenario4_path_summary,
-        scenario4_technical_logic = EXCLUDED.scenario4_technical_logic,
-        scenario4_target_zone = EXCLUDED.scenario4_target_zone,
-        scenario4_expected_move_min = EXCLUDED.scenario4_expected_move_min,
-        scenario4_expected_move_max = EXCLUDED.scenario4_expected_move_max,
-        scenario4_risk_profile = EXCLUDED.scenario4_risk_profile,
-        scenario_summary_1 = EXCLUDED.scenario_summary_1,
-        scenario_summary_2 = EXCLUDED.scenario_summary_2,
-        scenario_summary_3 = EXCLUDED.scenario_summary_3,
-        scenario_summary_4 = EXCLUDED.scenario_summary_4,
-        primary_message = EXCLUDED.primary_message,
-        original_chart_url = EXCLUDED.original_chart_url,
-        annotated_chart_url = EXCLUDED.annotated_chart_url,
+        ${updates.join(',\n        ')},
         updated_at = CURRENT_TIMESTAMP
-      RETURNING *;
+      RETURNING id;
     `;
 
-    const values = [
-      row.asof_date,
-      row.secular_trend, row.secular_regime_status, row.channel_position,
-      row.recent_behavior_summary, row.interpretation, row.risk_bias, row.summary_signal,
-      row.dominant_dynamics, row.overall_bias, row.secular_summary,
-      row.scenario1_id, row.scenario1_name, row.scenario1_probability, row.scenario1_path_summary,
-      row.scenario1_technical_logic, row.scenario1_target_zone, row.scenario1_expected_move_min,
-      row.scenario1_expected_move_max, row.scenario1_risk_profile,
-      row.scenario2_id, row.scenario2_name, row.scenario2_probability, row.scenario2_path_summary,
-      row.scenario2_technical_logic, row.scenario2_target_zone, row.scenario2_expected_move_min,
-      row.scenario2_expected_move_max, row.scenario2_risk_profile,
-      row.scenario3_id, row.scenario3_name, row.scenario3_probability, row.scenario3_path_summary,
-      row.scenario3_technical_logic, row.scenario3_target_zone, row.scenario3_expected_move_min,
-      row.scenario3_expected_move_max, row.scenario3_risk_profile,
-      row.scenario4_id, row.scenario4_name, row.scenario4_probability, row.scenario4_path_summary,
-      row.scenario4_technical_logic, row.scenario4_target_zone, row.scenario4_expected_move_min,
-      row.scenario4_expected_move_max, row.scenario4_risk_profile,
-      row.scenario_summary_1, row.scenario_summary_2, row.scenario_summary_3, row.scenario_summary_4,
-      row.primary_message,
-      row.original_chart_url, row.annotated_chart_url
-    ];
+    const values = columns.map(column => row[column]);
+    const client = await this.pool.connect();
 
     try {
-      const result = await this.pool.query(upsertSQL, values);
-      console.log(`[Database] Analysis saved for ${row.asof_date} (ID: ${result.rows[0].id})`);
-      return result.rows[0];
+      await client.query('BEGIN');
+      const result = await client.query(upsertSQL, values);
+      const id = result.rows[0].id;
+
+      await client.query('DELETE FROM secular_scenarios WHERE analysis_id = $1;', [id]);
+      for (const scenarioRow of scenarioRows) {
+        const scenarioColumns = ['ordinal', ...SCENARIO_COLUMNS];
+        await client.query(`
+          INSERT INTO secular_scenarios (analysis_id, ${scenarioColumns.join(', ')})
+          VALUES ($1, ${scenarioColumns.map((_, index) => `$${index + 2}`).join(', ')});
+        `, [id, ...scenarioColumns.map(column => scenarioRow[column])]);
+      }
+
+      const saved = await client.query(`SELECT ${ANALYSIS_SELECT} FROM secular_analysis WHERE id = $1;`, [id]);
+      await client.query('COMMIT');
+
+      console.log(`[Database] Analysis saved for ${row.asof_date} (ID: ${id}, ${scenarioRows.length} scenarios)`);
+      return saved.rows[0];
     } catch (error) {
+      await client.query('ROLLBACK');
       console.error('[Database] Save failed:', error);
       throw error;
+    } finally {
+      client.release();
     }
   }
 
@@ -360,7 +499,7 @@ class Database {
    */
   async getLatestAnalysis() {
     const sql = `
-      SELECT * FROM secular_analysis 
+      SELECT ${ANALYSIS_SELECT} FROM secular_analysis 
       ORDER BY asof_date DESC 
       LIMIT 1;
     `;
@@ -374,6 +513,29 @@ class Database {
     }
   }
 
+  /**
+   * Get the most recent fresh analyses before a date (carried-forward rows are skipped)
+   * @param {string} date - Date in YYYY-MM-DD format (exclusive)
+   * @param {number} limit - Maximum number of rows
+   * @returns {Promise<Object[]>} Analysis records, newest first
+   */
+  async getPreviousAnalyses(date, limit) {
+    const sql = `
+      SELECT ${ANALYSIS_SELECT} FROM secular_analysis
+      WHERE asof_date < $1 AND NOT carried_forward
+      ORDER BY asof_date DESC
+      LIMIT $2;
+    `;
+
+    try {
+      const result = await this.pool.query(sql, [date, limit]);
+      return result.rows;
+    } catch (error) {
+      console.error('[Database] Get previous analyses failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get analysis by date
    * @param {string} date - Date in YYYY-MM-DD format
@@ -381,7 +543,7 @@ class Database {
    */
   async getAnalysisByDate(date) {
     const sql = `
-      SELECT * FROM secular_analysis 
+      SELECT ${ANALYSIS_SELECT} FROM secular_analysis 
       WHERE asof_date = $1;
     `;
 
@@ -394,6 +556,389 @@ class Database {
     }
   }
 
+  /**
+   * Resolve requested field names into secular_analysis columns
+   * Accepts group names from FIELD_GROUPS (e.g. "layer1") and individual column names,
+   * including computed ones such as "scenarios".
+   * @param {string[]} [fields] - Requested fields, all columns when empty
+   * @returns {{columns: string[], unknown: string[]}} Resolved columns and unrecognized names
+   */
+  resolveColumns(fields = []) {
+    if (fields.length === 0) {
+      return { columns: ['id', 'asof_date', ...ALL_COLUMNS], unknown: [] };
+    }
+
+    const columns = new Set(['id', 'asof_date']);
+    const unknown = [];
+
+    for (const field of fields) {
+      if (FIELD_GROUPS[field]) {
+        FIELD_GROUPS[field].forEach(column => columns.add(column));
+      } else if (ALL_COLUMNS.includes(field) || field === 'id' || field === 'asof_date') {
+        columns.add(field);
+      } else {
+        unknown.push(field);
+      }
+    }
+
+    return { columns: [...columns], unknown };
+  }
+
+  /**
+   * List analyses in a date range with pagination
+   * @param {Object} [options] - Query options
+   * @param {string} [options.from] - Earliest asof_date (YYYY-MM-DD, inclusive)
+   * @param {string} [options.to] - Latest asof_date (YYYY-MM-DD, inclusive)
+   * @param {number} [options.limit=30] - Maximum number of rows
+   * @param {number} [options.offset=0] - Number of rows to skip
+   * @param {string[]} [options.fields] - Field groups or column names to select
+   * @param {string} [options.order='desc'] - Sort order on asof_date ('asc' or 'desc')
+   * @returns {Promise<{rows: Object[], total: number}>} Matching rows and total count
+   */
+  async listAnalyses({ from, to, limit = 30, offset = 0, fields = [], order = 'desc' } = {}) {
+    const { columns, unknown } = this.resolveColumns(fields);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown fields: ${unknown.join(', ')}`);
+    }
+
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const conditions = [];
+    const values = [];
+
+    if (from) {
+      values.push(from);
+      conditions.push(`asof_date >= $${values.length}`);
+    }
+    if (to) {
+      values.push(to);
+      conditions.push(`asof_date <= $${values.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countSQL = `SELECT COUNT(*)::int AS total FROM secular_analysis ${where};`;
+    const listSQL = `
+      SELECT ${columns.map(selectColumn).join(', ')} FROM secular_analysis
+      ${where}
+      ORDER BY asof_date ${direction}
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2};
+    `;
+
+    try {
+      const [countResult, listResult] = await Promise.all([
+        this.pool.query(countSQL, values),
+        this.pool.query(listSQL, [...values, limit, offset])
+      ]);
+      return {
+        rows: listResult.rows,
+        total: countResult.rows[0].total
+      };
+    } catch (error) {
+      console.error('[Database] List analyses failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a pipeline run record
+   * @param {Object} run - Run data
+   * @param {string} run.asof_date - Date in YYYY-MM-DD format
+   * @param {string} [run.triggered_by] - What started the run (api, scheduler, cli)
+   * @returns {Promise<Object>} Created pipeline run
+   */
+  async createPipelineRun({ asof_date, triggered_by = null }) {
+    const sql = `
+      INSERT INTO pipeline_runs (asof_date, triggered_by)
+      VALUES ($1, $2)
+      RETURNING *;
+    `;
+
+    try {
+      const result = await this.pool.query(sql, [asof_date, triggered_by]);
+      console.log(`[Database] Pipeline run created for ${asof_date} (ID: ${result.rows[0].id})`);
+      return result.rows[0];
+    } catch (error) {
+      console.error('[Database] Create pipeline run failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a pipeline run record
+   * @param {number} id - Pipeline run ID
+   * @param {Object} fields - Columns to update (status, steps, error, analysis_id, started_at, finished_at)
+   * @returns {Promise<Object|null>} Updated pipeline run
+   */
+  async updatePipelineRun(id, fields) {
+    const allowed = ['status', 'steps', 'error', 'analysis_id', 'started_at', 'finished_at'];
+    const entries = Object.entries(fields).filter(([key]) => allowed.includes(key));
+
+    if (entries.length === 0) {
+      return this.getPipelineRun(id);
+    }
+
+    const assignments = entries.map(([key], index) => `${key} = $${index + 2}`);
+    const sql = `
+      UPDATE pipeline_runs
+      SET ${assignments.join(', ')}
+      WHERE id = $1
+      RETURNING *;
+    `;
+
+    try {
+      const result = await this.pool.query(sql, [id, ...entries.map(([, value]) => value)]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('[Database] Update pipeline run failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get pipeline run by ID
+   * @param {number} id - Pipeline run ID
+   * @returns {Promise<Object|null>} Pipeline run
+   */
+  async getPipelineRun(id) {
+    const sql = `
+      SELECT * FROM pipeline_runs
+      WHERE id = $1;
+    `;
+
+    try {
+      const result = await this.pool.query(sql, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('[Database] Get pipeline run failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List pipeline runs, newest first
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit=20] - Maximum number of rows
+   * @param {number} [options.offset=0] - Number of rows to skip
+   * @param {string} [options.status] - Only return runs with this status
+   * @returns {Promise<{rows: Object[], total: number}>} Matching runs and total count
+   */
+  async listPipelineRuns({ limit = 20, offset = 0, status } = {}) {
+    const values = [];
+    let where = '';
+
+    if (status) {
+      values.push(status);
+      where = 'WHERE status = $1';
+    }
+
+    const countSQL = `SELECT COUNT(*)::int AS total FROM pipeline_runs ${where};`;
+    const listSQL = `
+      SELECT * FROM pipeline_runs
+      ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2};
+    `;
+
+    try {
+      const [countResult, listResult] = await Promise.all([
+        this.pool.query(countSQL, values),
+        this.pool.query(listSQL, [...values, limit, offset])
+      ]);
+      return {
+        rows: listResult.rows,
+        total: countResult.rows[0].total
+      };
+    } catch (error) {
+      console.error('[Database] List pipeline runs failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark runs left queued/running by a previous process as failed
+   * @returns {Promise<number>} Number of runs updated
+   */
+  async failInterruptedPipelineRuns() {
+    const sql = `
+      UPDATE pipeline_runs
+      SET status = 'failed',
+          error = 'Interrupted by service restart',
+          finished_at = CURRENT_TIMESTAMP
+      WHERE status IN ('queued', 'running');
+    `;
+
+    try {
+      const result = await this.pool.query(sql);
+      if (result.rowCount > 0) {
+        console.log(`[Database] Marked ${result.rowCount} interrupted pipeline run(s) as failed`);
+      }
+      return result.rowCount;
+    } catch (error) {
+      console.error('[Database] Fail interrupted pipeline runs failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save an archived analysis call
+   * @param {Object} archive - Archive built by AnalysisProvider.analyze()
+   * @returns {Promise<Object>} Saved analysis_calls row (without the archive)
+   */
+  async saveAnalysisCall(archive) {
+    const sql = `
+      INSERT INTO analysis_calls (
+        asof_date, provider, model, status,
+        prompt_tokens, completion_tokens, total_tokens, error, archive
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING id, asof_date, provider, model, status, total_tokens, created_at;
+    `;
+
+    try {
+      const result = await this.pool.query(sql, [
+        archive.asof_date,
+        archive.provider,
+        archive.model,
+        archive.status,
+        archive.usage.prompt_tokens,
+        archive.usage.completion_tokens,
+        archive.usage.total_tokens,
+        archive.error,
+        JSON.stringify(archive)
+      ]);
+      console.log(`[Database] Analysis call archived for ${archive.asof_date} (ID: ${result.rows[0].id})`);
+      return result.rows[0];
+    } catch (error) {
+      console.error('[Database] Save analysis call failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the latest successful analysis call for a date
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {Promise<Object|null>} analysis_calls row including the archive
+   */
+  async getLatestAnalysisCall(date) {
+    const sql = `
+      SELECT * FROM analysis_calls
+      WHERE asof_date = $1 AND status = 'succeeded'
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1;
+    `;
+
+    try {
+      const result = await this.pool.query(sql, [date]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('[Database] Get analysis call failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save the usage of one AI call
+   * @param {Object} usage - ai_usage row (asof_date, billing_month, service, operation, model, tokens, images, cost_usd)
+   * @returns {Promise<Object>} Saved row
+   */
+  async saveUsage(usage) {
+    const sql = `
+      INSERT INTO ai_usage (
+        asof_date, billing_month, service, operation, model,
+        prompt_tokens, completion_tokens, images, cost_usd
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *;
+    `;
+
+    try {
+      const result = await this.pool.query(sql, [
+        usage.asof_date,
+        usage.billing_month,
+        usage.service,
+        usage.operation,
+        usage.model,
+        usage.prompt_tokens,
+        usage.completion_tokens,
+        usage.images,
+        usage.cost_usd
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('[Database] Save usage failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get usage totals grouped by a column
+   * @param {string} groupBy - 'asof_date' or 'billing_month'
+   * @param {Object} [options] - Query options
+   * @param {string} [options.from] - First value (inclusive)
+   * @param {string} [options.to] - Last value (inclusive)
+   * @returns {Promise<Object[]>} Totals, newest first
+   */
+  async getUsageTotals(groupBy, { from, to } = {}) {
+    if (!['asof_date', 'billing_month'].includes(groupBy)) {
+      throw new Error(`Cannot group usage by ${groupBy}`);
+    }
+
+    const conditions = [];
+    const values = [];
+
+    if (from) {
+      values.push(from);
+      conditions.push(`${groupBy} >= $${values.length}`);
+    }
+    if (to) {
+      values.push(to);
+      conditions.push(`${groupBy} <= $${values.length}`);
+    }
+
+    const sql = `
+      SELECT
+        ${groupBy},
+        COUNT(*)::int AS calls,
+        SUM(prompt_tokens)::int AS prompt_tokens,
+        SUM(completion_tokens)::int AS completion_tokens,
+        SUM(images)::int AS images,
+        COALESCE(SUM(cost_usd) FILTER (WHERE service = 'openai'), 0)::float8 AS openai_cost_usd,
+        COALESCE(SUM(cost_usd) FILTER (WHERE service = 'gemini'), 0)::float8 AS gemini_cost_usd,
+        SUM(cost_usd)::float8 AS cost_usd
+      FROM ai_usage
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      GROUP BY ${groupBy}
+      ORDER BY ${groupBy} DESC;
+    `;
+
+    try {
+      const result = await this.pool.query(sql, values);
+      return result.rows;
+    } catch (error) {
+      console.error('[Database] Get usage totals failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the total cost of AI calls made in a billing month
+   * @param {string} month - Month in YYYY-MM format
+   * @returns {Promise<number>} Cost in USD
+   */
+  async getMonthSpend(month) {
+    const sql = `
+      SELECT COALESCE(SUM(cost_usd), 0)::float8 AS cost_usd
+      FROM ai_usage
+      WHERE billing_month = $1;
+    `;
+
+    try {
+      const result = await this.pool.query(sql, [month]);
+      return result.rows[0].cost_usd;
+    } catch (error) {
+      console.error('[Database] Get month spend failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Test database connection
    * @returns {boolean} Connection status
@@ -410,12 +955,106 @@ class Database {
     }
   }
 
+  /**
+   * Count the original scenario1_* .. scenario4_* and scenario_summary_1..4 columns still present
+   * @returns {Promise<{present: number, total: number}>} Columns present and expected
+   */
+  async countLegacyScenarioColumns() {
+    const legacyColumns = LEGACY_SCENARIO_SLOTS.flatMap(slot => slot.columns);
+    const result = await this.pool.query(`
+      SELECT COUNT(*)::int AS present FROM information_schema.columns
+      WHERE table_schema = current_schema() AND table_name = 'secular_analysis' AND column_name::text = ANY($1::text[]);
+    `, [legacyColumns]);
+
+    return { present: result.rows[0].present, total: legacyColumns.length };
+  }
+
+  /**
+   * Copy scenarios from the original per-scenario columns into secular_scenarios
+   * Only analyses without secular_scenarios rows are copied, so rows saved since the upgrade
+   * are kept and the copy can be repeated. The legacy columns stay in place (a previous build
+   * still writes them) until dropLegacyScenarioColumns() is run.
+   * @returns {Promise<number|null>} Number of scenario rows copied, or null if the legacy columns are gone
+   */
+  async migrateScenarios() {
+    const { present, total } = await this.countLegacyScenarioColumns();
+
+    if (present === 0) {
+      return null;
+    }
+    if (present < total) {
+      throw new Error(`secular_analysis has ${present} of ${total} legacy scenario columns, migrate them by hand`);
+    }
+
+    // One VALUES row per slot, skipping empty slots
+    const slots = LEGACY_SCENARIO_SLOTS.map(slot => `(${[slot.ordinal, ...slot.columns.map(column => `a.${column}`)].join(', ')})`);
+    const copySQL = `
+      INSERT INTO secular_scenarios (analysis_id, ordinal, ${SCENARIO_COLUMNS.join(', ')})
+      SELECT a.id, s.*
+      FROM secular_analysis a
+      CROSS JOIN LATERAL (VALUES
+        ${slots.join(',\n        ')}
+      ) AS s(ordinal, ${SCENARIO_COLUMNS.join(', ')})
+      WHERE (s.scenario_id IS NOT NULL OR s.name IS NOT NULL OR s.summary IS NOT NULL)
+        AND NOT EXISTS (SELECT 1 FROM secular_scenarios x WHERE x.analysis_id = a.id);
+    `;
+
+    try {
+      const result = await this.pool.query(copySQL);
+      console.log(`[Database] Copied ${result.rowCount} scenarios into secular_scenarios`);
+      return result.rowCount;
+    } catch (error) {
+      console.error('[Database] Scenario migration failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop the original per-scenario columns after migrateScenarios()
+   * Irreversible: builds from before secular_scenarios can no longer save analyses afterwards.
+   * Refuses while any analysis still has legacy scenarios but no secular_scenarios rows.
+   * @returns {Promise<number>} Number of columns dropped (0 if already gone)
+   */
+  async dropLegacyScenarioColumns() {
+    const { present, total } = await this.countLegacyScenarioColumns();
+
+    if (present === 0) {
+      return 0;
+    }
+    if (present < total) {
+      throw new Error(`secular_analysis has ${present} of ${total} legacy scenario columns, drop them by hand`);
+    }
+
+    const notCopied = await this.pool.query(`
+      SELECT COUNT(*)::int AS count FROM secular_analysis a
+      WHERE (a.scenario1_id IS NOT NULL OR a.scenario1_name IS NOT NULL OR a.scenario_summary_1 IS NOT NULL)
+        AND NOT EXISTS (SELECT 1 FROM secular_scenarios x WHERE x.analysis_id = a.id);
+    `);
+    if (notCopied.rows[0].count > 0) {
+      throw new Error(`${notCopied.rows[0].count} analyses have scenarios that are not in secular_scenarios yet, run the migrations first`);
+    }
+
+    const legacyColumns = LEGACY_SCENARIO_SLOTS.flatMap(slot => slot.columns);
+    try {
+      await this.pool.query(`
+        ALTER TABLE secular_analysis
+          ${legacyColumns.map(column => `DROP COLUMN ${column}`).join(',\n          ')};
+      `);
+      console.log(`[Database] Dropped ${legacyColumns.length} legacy scenario columns`);
+      return legacyColumns.length;
+    } catch (error) {
+      console.error('[Database] Drop legacy scenario columns failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Run database migrations
    * Updates schema to support new features
    */
   async migrate() {
     console.log('[Database] Running migrations...');
+    const messages = [];
     
     try {
       // Migration 1: Change secular_trend from VARCHAR(100) to TEXT
@@ -425,18 +1064,30 @@ class Database {
         ALTER COLUMN secular_trend TYPE TEXT;
       `);
       console.log('[Database] Migration 1: ✅ secular_trend is now TEXT');
-      
-      console.log('[Database] All migrations completed successfully');
-      return { success: true, message: 'Migrations completed' };
+      messages.push('secular_trend is TEXT');
     } catch (error) {
       // If column is already TEXT, migration will fail with specific error
-      if (error.code === '42804' || error.message.includes('cannot be cast automatically')) {
-        console.log('[Database] Migration already applied or column type is correct');
-        return { success: true, message: 'Migrations already applied' };
+      if (error.code !== '42804' && !error.message.includes('cannot be cast automatically')) {
+        console.error('[Database] Migration failed:', error);
+        throw error;
       }
-      console.error('[Database] Migration failed:', error);
-      throw error;
+      console.log('[Database] Migration 1: already applied or column type is correct');
+      messages.push('secular_trend already migrated');
+    }
+
+    // Migration 2: Copy the per-scenario columns into secular_scenarios (the columns are kept)
+    console.log('[Database] Migration 2: Copying scenarios into secular_scenarios...');
+    const copied = await this.migrateScenarios();
+    if (copied === null) {
+      console.log('[Database] Migration 2: no legacy scenario columns');
+      messages.push('no legacy scenario columns');
+    } else {
+      console.log(`[Database] Migration 2: ✅ ${copied} scenarios copied`);
+      messages.push(`${copied} scenarios copied to secular_scenarios`);
     }
+
+    console.log('[Database] All migrations completed successfully');
+    return { success: true, message: `Migrations completed (${messages.join(', ')})` };
   }
 
   /**
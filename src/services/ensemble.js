@@ -0,0 +1,231 @@
+import fs from 'fs';
+import { config } from '../config.js';
+import { createAnalysisProvider } from './analysis-providers/index.js';
+import { getFilePath } from '../utils/storage.js';
+
+/**
+ * Multi-Model Ensemble
+ *
+ * Runs the same chart through every member in config.ensemble.members (provider + optional
+ * model) and merges the 3-layer results into one consensus analysis:
+ * - scenario probabilities are averaged per scenario_id (a member without that id counts as 0)
+ * - secular_regime_status and overall_bias are majority votes (ties go to the earlier member)
+ * - text fields come from the first member that agrees with both votes
+ * - a disagreement score from 0 (identical) to 1 is computed from the probability spread and
+ *   the share of members outvoted on regime status and bias
+ *
+ * The consensus is saved as the day's secular_analysis row; every member's result is kept in
+ * its ensemble column for audit.
+ */
+
+/**
+ * Build the label of an ensemble member (also its archive file name)
+ * @param {{provider: string, model: string|null}} member - Ensemble member
+ * @param {number} index - Position in the ensemble
+ * @returns {string} Label, e.g. "1-chat-completions-gpt-4o"
+ */
+export function getMemberLabel(member, index) {
+  const name = member.model ? `${member.provider}-${member.model}` : member.provider;
+  return `${index + 1}-${name.replace(/[^\w.-]/g, '_')}`;
+}
+
+/**
+ * Normalize a free-text value for voting (case, punctuation and spacing are ignored)
+ * @param {string} value - Value
+ * @returns {string} Vote key
+ */
+function toVoteKey(value) {
+  return String(value ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Majority vote over member values
+ * @param {string[]} values - One value per member, in member order
+ * @returns {{value: string, index: number, share: number, votes: Object}} Winning value, first member voting for it, its share of votes and counts per value
+ */
+function majorityVote(values) {
+  const tally = new Map();
+
+  values.forEach((value, index) => {
+    const key = toVoteKey(value);
+    const entry = tally.get(key) || { value, index, count: 0 };
+    entry.count++;
+    tally.set(key, entry);
+  });
+
+  // Map keeps insertion order, so ties go to the earlier member
+  const winner = [...tally.values()].reduce((best, entry) => (entry.count > best.count ? entry : best));
+
+  return {
+    value: winner.value,
+    index: winner.index,
+    share: winner.count / values.length,
+    votes: Object.fromEntries([...tally.values()].map(entry => [entry.value, entry.count]))
+  };
+}
+
+/**
+ * Round a number to a number of decimals
+ * @param {number} value - Value
+ * @param {number} decimals - Decimals
+ * @returns {number} Rounded value
+ */
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Merge member analyses into a consensus analysis
+ * @param {Array<{label: string, provider: string, model: string|null, analysis: Object}>} members - Successful members, in ensemble order
+ * @param {string} date - Analysis date (YYYY-MM-DD)
+ * @returns {Object} Consensus analysis with layer1, layer2, layer3, disagreement_score and ensemble
+ */
+export function mergeAnalyses(members, date) {
+  if (members.length === 0) {
+    throw new Error('Cannot merge an empty ensemble');
+  }
+
+  const scenarioSets = members.map(member => member.analysis.layer2.scenario_analysis.scenarios);
+  const regimeVote = majorityVote(members.map(member => member.analysis.layer1.secular_regime_status));
+  const biasVote = majorityVote(members.map(member => member.analysis.layer2.scenario_analysis.overall_bias));
+
+  // Text fields come from the first member that agrees with both votes, else with the regime vote
+  const agrees = (member, vote, value) => toVoteKey(value(member.analysis)) === toVoteKey(vote.value);
+  const regimeOf = analysis => analysis.layer1.secular_regime_status;
+  const biasOf = analysis => analysis.layer2.scenario_analysis.overall_bias;
+  const representative =
+    members.find(member => agrees(member, regimeVote, regimeOf) && agrees(member, biasVote, biasOf)) ||
+    members[regimeVote.index];
+
+  // Average probabilities per scenario_id; a member without the scenario counts as 0
+  const ids = [...new Set(scenarioSets.flat().map(scenario => String(scenario.scenario_id)))];
+  const averages = new Map(ids.map(id => [
+    id,
+    scenarioSets.reduce((sum, scenarios) => {
+      const scenario = scenarios.find(s => String(s.scenario_id) === id);
+      return sum + (scenario ? scenario.probability : 0);
+    }, 0) / members.length
+  ]));
+
+  // Mean total variation distance between each member and the average
+  const probabilitySpread = scenarioSets.reduce((sum, scenarios) => {
+    const distance = ids.reduce((total, id) => {
+      const scenario = scenarios.find(s => String(s.scenario_id) === id);
+      return total + Math.abs((scenario ? scenario.probability : 0) - averages.get(id));
+    }, 0) / 2;
+    return sum + distance;
+  }, 0) / members.length;
+
+  // Every scenario any member reported, most likely first, renormalized to sum to 1
+  const ordered = ids.sort((a, b) => averages.get(b) - averages.get(a));
+  const total = ordered.reduce((sum, id) => sum + averages.get(id), 0) || 1;
+
+  const scenarios = ordered.map(id => {
+    const matches = scenarioSets
+      .map(set => set.find(s => String(s.scenario_id) === id))
+      .filter(Boolean);
+    const base = representative.analysis.layer2.scenario_analysis.scenarios
+      .find(s => String(s.scenario_id) === id) || matches[0];
+    const average = index => round(matches.reduce((sum, s) => sum + s.expected_move_percent[index], 0) / matches.length, 1);
+
+    return {
+      ...base,
+      probability: round(averages.get(id) / total, 4),
+      expected_move_percent: [average(0), average(1)]
+    };
+  });
+
+  const disagreement = {
+    probabilities: round(probabilitySpread, 4),
+    secular_regime_status: round(1 - regimeVote.share, 4),
+    overall_bias: round(1 - biasVote.share, 4)
+  };
+  const score = round((disagreement.probabilities + disagreement.secular_regime_status + disagreement.overall_bias) / 3, 4);
+
+  const { layer1, layer2, layer3 } = representative.analysis;
+
+  return {
+    layer1: {
+      ...layer1,
+      asof_date: date,
+      secular_regime_status: regimeVote.value
+    },
+    layer2: {
+      scenario_analysis: {
+        ...layer2.scenario_analysis,
+        overall_bias: biasVote.value,
+        scenarios
+      }
+    },
+    layer3: {
+      scenario_summary: scenarios.map(scenario =>
+        `${Math.round(scenario.probability * 100)}% — ${scenario.name} (${scenario.expected_move_percent[0]}% to ${scenario.expected_move_percent[1]}%)`
+      ),
+      primary_message: layer3.primary_message
+    },
+    disagreement_score: score,
+    ensemble: {
+      representative: representative.label,
+      votes: {
+        secular_regime_status: regimeVote.votes,
+        overall_bias: biasVote.votes
+      },
+      disagreement: { score, ...disagreement },
+      members: members.map(({ label, provider, model, analysis }) => ({ label, provider, model, status: 'succeeded', analysis }))
+    }
+  };
+}
+
+/**
+ * Run every ensemble member on a chart and merge the results
+ * Members run one after another; failed members are recorded and skipped.
+ * @param {string} chartPath - Path to chart image file
+ * @param {string} date - Analysis date (YYYY-MM-DD)
+ * @param {Object} [options] - Options
+ * @param {Object[]} [options.context] - Previous analyses passed to every member
+ * @param {Array<{provider: string, model: string|null}>} [options.members] - Members (default config.ensemble.members)
+ * @returns {Promise<Object>} Consensus analysis (see mergeAnalyses)
+ */
+export async function runEnsemble(chartPath, date, { context = [], members = config.ensemble.members } = {}) {
+  if (members.length < config.ensemble.minMembers) {
+    throw new Error(`Ensemble needs at least ${config.ensemble.minMembers} members (ENSEMBLE_MEMBERS has ${members.length})`);
+  }
+
+  // Member archives from an earlier ensemble run for this date would be merged by replay
+  await fs.promises.rm(getFilePath('ensemble', date), { recursive: true, force: true });
+
+  const succeeded = [];
+  const failed = [];
+
+  for (const [index, member] of members.entries()) {
+    const label = getMemberLabel(member, index);
+    console.log(`[Ensemble] Member ${label} (${index + 1}/${members.length})...`);
+
+    try {
+      const provider = createAnalysisProvider(member.provider, { model: member.model });
+      const analysis = await provider.analyze(chartPath, date, { context, member: label });
+      succeeded.push({ label, provider: member.provider, model: member.model, analysis });
+    } catch (error) {
+      console.error(`[Ensemble] Member ${label} failed: ${error.message}`);
+      failed.push({ label, provider: member.provider, model: member.model, status: 'failed', error: error.message });
+    }
+  }
+
+  if (succeeded.length < config.ensemble.minMembers) {
+    throw new Error(`Only ${succeeded.length} of ${members.length} ensemble members succeeded (at least ${config.ensemble.minMembers} needed)`);
+  }
+
+  const consensus = mergeAnalyses(succeeded, date);
+  consensus.ensemble.members = [...consensus.ensemble.members, ...failed]
+    .sort((a, b) => parseInt(a.label, 10) - parseInt(b.label, 10));
+
+  console.log(`[Ensemble] Consensus from ${succeeded.length} members: regime "${consensus.layer1.secular_regime_status}", disagreement ${consensus.disagreement_score}`);
+  return consensus;
+}
+
+export default {
+  getMemberLabel,
+  mergeAnalyses,
+  runEnsemble
+};
@@ -1,6 +1,11 @@
 import { GoogleGenAI } from '@google/genai';
 import fs from 'fs';
 import path from 'path';
+import { config } from '../config.js';
+import { callWithResilience } from '../utils/resilience.js';
+import { recordUsage } from './usage.js';
+import { getAsOfDate } from '../utils/date.js';
+import { formatOverlayLines } from './local-annotator.js';
 
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const GEMINI_MODEL = 'gemini-3-pro-image-preview';
@@ -24,22 +29,8 @@ class GeminiAnnotator {
    * @returns {string} Formatted text for overlay
    */
   formatLayer3ForOverlay(layer3) {
-    const lines = [];
-    
-    // Add scenario summaries as bullet points
-    if (layer3.scenario_summary && Array.isArray(layer3.scenario_summary)) {
-      layer3.scenario_summary.forEach(summary => {
-        lines.push(`• ${summary}`);
-      });
-    }
-    
-    // Add primary message
-    if (layer3.primary_message) {
-      lines.push('');
-      lines.push(layer3.primary_message);
-    }
-    
-    return lines.join('\\n');
+    // Same lines the local annotator draws (scenario bullets, then the primary message)
+    return formatOverlayLines(layer3).join('\\n');
   }
 
   /**
@@ -47,9 +38,11 @@ class GeminiAnnotator {
    * @param {string} inputPath - Path to original chart PNG
    * @param {string} outputPath - Path to save annotated chart PNG
    * @param {Object} layer3 - Layer 3 analysis object
+   * @param {Object} [options] - Annotation options
+   * @param {string} [options.date] - Date the usage is recorded under (YYYY-MM-DD)
    * @returns {Promise<string>} Path to annotated chart
    */
-  async annotateChart(inputPath, outputPath, layer3) {
+  async annotateChart(inputPath, outputPath, layer3, { date = getAsOfDate() } = {}) {
     console.log('\\n========================================');
     console.log('[Gemini] Starting chart annotation...');
     console.log(`[Gemini] Input: ${inputPath}`);
@@ -112,7 +105,9 @@ Generate a new image that is a PIXEL-PERFECT COPY of the original chart with ONL
       console.log(`[Gemini] Request timestamp: ${new Date().toISOString()}`);
 
       console.log('[Gemini] Sending request to Gemini...');
-      const response = await this.client.models.generateContent({
+      // Timeout, retries and the circuit breaker come from the resilience layer. Only refused
+      // requests (429, 503 with Retry-After) are retried: a timed-out one may still be billed
+      const response = await callWithResilience('gemini', signal => this.client.models.generateContent({
         model: GEMINI_MODEL,
         contents: {
           parts: [
@@ -131,8 +126,9 @@ Generate a new image that is a PIXEL-PERFECT COPY of the original chart with ONL
           imageConfig: {
             imageSize: '2K', // Request high resolution
           },
+          abortSignal: signal,
         },
-      });
+      }), { timeout: config.gemini.timeout, label: 'Gemini generateContent', idempotent: false });
 
       console.log('[Gemini] Response received');
       console.log(`[Gemini] Response timestamp: ${new Date().toISOString()}`);
@@ -140,6 +136,16 @@ Generate a new image that is a PIXEL-PERFECT COPY of the original chart with ONL
       
       // Extract image from response
       const parts = response.candidates?.[0]?.content?.parts;
+
+      await recordUsage({
+        asof_date: date,
+        service: 'gemini',
+        operation: 'annotation',
+        model: GEMINI_MODEL,
+        prompt_tokens: response.usageMetadata?.promptTokenCount || 0,
+        completion_tokens: response.usageMetadata?.candidatesTokenCount || 0,
+        images: parts?.filter(part => part.inlineData?.data).length || 0
+      });
       console.log(`[Gemini] Parts count: ${parts?.length || 0}`);
 
       if (!parts) {
@@ -0,0 +1,222 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { config } from '../config.js';
+
+/**
+ * Local Chart Annotator
+ *
+ * Same interface as geminiAnnotator, but deterministic: the Layer 3 text is drawn with sharp as
+ * an SVG "heads-up display" box composited over the original PNG, so no chart pixel outside the
+ * box changes. Position, font size and theme come from config.annotation; a named template
+ * (config.annotation.templates) can also resize the chart and show only the primary message.
+ */
+
+// Average glyph width of a sans-serif font, as a fraction of the font size (used for wrapping)
+const CHAR_WIDTH_RATIO = 0.55;
+const LINE_HEIGHT_RATIO = 1.4;
+// Full-width characters (CJK, kana, hangul, full-width punctuation) are one font size wide and
+// a line may break between any two of them
+const WIDE_CHAR = /[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]/u;
+const WRAP_TOKEN = new RegExp(`${WIDE_CHAR.source}|[^\\s${WIDE_CHAR.source.slice(1, -1)}]+|\\s+`, 'gu');
+// Punctuation that must not start a line
+const NO_LINE_START = /^[，。、；：！？）」』〉》】,.;:!?)\]]/u;
+
+/**
+ * Build the overlay lines for Layer 3 (bulleted scenario summaries, a blank line, the primary message)
+ * @param {Object} layer3 - Layer 3 analysis object
+ * @param {string} [content='full'] - 'full', or 'primary_message' for the primary message only
+ * @returns {string[]} Lines
+ */
+export function formatOverlayLines(layer3, content = 'full') {
+  if (content === 'primary_message') {
+    return layer3.primary_message ? [layer3.primary_message] : [];
+  }
+
+  const lines = [];
+
+  if (Array.isArray(layer3.scenario_summary)) {
+    layer3.scenario_summary.forEach(summary => lines.push(`• ${summary}`));
+  }
+
+  if (layer3.primary_message) {
+    lines.push('');
+    lines.push(layer3.primary_message);
+  }
+
+  return lines;
+}
+
+/**
+ * Escape text for use inside SVG
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Estimate the width of a text in font sizes
+ * @param {string} text - Text
+ * @returns {number} Width as a multiple of the font size
+ */
+function measureText(text) {
+  let width = 0;
+  for (const char of text) {
+    width += WIDE_CHAR.test(char) ? 1 : CHAR_WIDTH_RATIO;
+  }
+  return width;
+}
+
+/**
+ * Wrap lines to a maximum width
+ * Latin text breaks between words, CJK text between characters. Continuation lines of a bullet
+ * are indented under its text.
+ * @param {string[]} lines - Lines
+ * @param {number} maxWidth - Maximum line width in font sizes
+ * @returns {string[]} Wrapped lines
+ */
+function wrapLines(lines, maxWidth) {
+  return lines.flatMap(line => {
+    if (measureText(line) <= maxWidth) {
+      return [line];
+    }
+
+    const indent = line.startsWith('• ') ? '  ' : '';
+    const wrapped = [];
+    let current = '';
+
+    for (const token of line.match(WRAP_TOKEN) || []) {
+      const isSpace = /^\s+$/.test(token);
+      if (current.trim() && !isSpace && !NO_LINE_START.test(token) && measureText(current + token) > maxWidth) {
+        wrapped.push(current.trimEnd());
+        current = indent;
+      }
+      if (!(isSpace && current === indent && wrapped.length > 0)) {
+        current += token;
+      }
+    }
+    wrapped.push(current.trimEnd());
+
+    return wrapped;
+  });
+}
+
+/**
+ * Compute the top-left corner of the box for a position name
+ * @param {string} position - top-left, top-right, bottom-left or bottom-right
+ * @param {{width: number, height: number}} image - Image size
+ * @param {{width: number, height: number}} box - Box size
+ * @param {number} margin - Distance from the image edges
+ * @returns {{left: number, top: number}} Box offset
+ */
+function getBoxOffset(position, image, box, margin) {
+  const [vertical, horizontal] = position.split('-');
+
+  return {
+    left: horizontal === 'left' ? margin : Math.max(image.width - box.width - margin, 0),
+    top: vertical === 'top' ? margin : Math.max(image.height - box.height - margin, 0)
+  };
+}
+
+class LocalAnnotator {
+  /**
+   * Render the overlay box as an SVG
+   * @param {string[]} lines - Overlay lines
+   * @param {{width: number, height: number}} image - Size of the chart the box is drawn on
+   * @param {Object} [options] - Overrides for config.annotation (fontSize, theme, maxWidthRatio, padding),
+   *   and locale to draw with the font in config.localization.fonts
+   * @returns {{svg: Buffer, width: number, height: number}} SVG and box size
+   */
+  renderOverlay(lines, image, options = {}) {
+    const { fontSize, padding, maxWidthRatio, themes } = { ...config.annotation, ...options };
+    const fontFamily = options.fontFamily || config.localization.fonts[options.locale] || config.annotation.fontFamily;
+    const themeName = options.theme || config.annotation.theme;
+    const theme = themes[themeName];
+    if (!theme) {
+      throw new Error(`Unknown annotation theme "${themeName}" (available: ${Object.keys(themes).join(', ')})`);
+    }
+
+    const lineHeight = Math.round(fontSize * LINE_HEIGHT_RATIO);
+    const maxWidth = Math.floor(image.width * maxWidthRatio);
+    const maxTextWidth = Math.max((maxWidth - padding * 2) / fontSize, 10 * CHAR_WIDTH_RATIO);
+
+    const wrapped = wrapLines(lines, maxTextWidth);
+    const longest = Math.max(...wrapped.map(measureText), CHAR_WIDTH_RATIO);
+    const width = Math.min(Math.ceil(longest * fontSize) + padding * 2, maxWidth, image.width);
+    const height = Math.min(padding * 2 + wrapped.length * lineHeight, image.height);
+
+    const text = wrapped
+      .map((line, index) => `<text x="${padding}" y="${padding + fontSize + index * lineHeight}" xml:space="preserve">${escapeXml(line)}</text>`)
+      .join('');
+
+    const svg = Buffer.from(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+      `<rect x="0.5" y="0.5" width="${width - 1}" height="${height - 1}" rx="6" fill="${theme.background}" fill-opacity="${theme.backgroundOpacity}" stroke="${theme.border}" stroke-opacity="${theme.borderOpacity}"/>` +
+      `<g font-family="${escapeXml(fontFamily)}" font-size="${fontSize}" fill="${theme.text}">${text}</g>` +
+      '</svg>'
+    );
+
+    return { svg, width, height };
+  }
+
+  /**
+   * Load a chart, resized if options.width or options.height is set
+   * @param {string} inputPath - Path to chart PNG
+   * @param {Object} options - width, height, fit ('contain' pads with the theme background, 'cover' crops) and theme
+   * @returns {Promise<{data: Buffer, info: {width: number, height: number}}>} PNG and its size
+   */
+  async loadChart(inputPath, options) {
+    let image = sharp(inputPath);
+
+    if (options.width || options.height) {
+      const theme = config.annotation.themes[options.theme || config.annotation.theme];
+      image = image.resize(options.width || null, options.height || null, {
+        fit: options.fit || 'contain',
+        background: theme?.background || '#000000'
+      });
+    }
+
+    return image.png().toBuffer({ resolveWithObject: true });
+  }
+
+  /**
+   * Annotate chart with Layer 3 analysis
+   * @param {string} inputPath - Path to original chart PNG
+   * @param {string} outputPath - Path to save annotated chart PNG
+   * @param {Object} layer3 - Layer 3 analysis object
+   * @param {Object} [options] - Overrides for config.annotation (position, fontSize, theme, ...), or
+   *   an entry of config.annotation.templates: content ('full' or 'primary_message') and
+   *   width/height/fit to resize the chart before the box is drawn
+   * @returns {Promise<string>} Path to annotated chart
+   */
+  async annotateChart(inputPath, outputPath, layer3, options = {}) {
+    console.log(`[LocalAnnotator] Annotating ${inputPath}`);
+
+    if (!fs.existsSync(inputPath)) {
+      throw new Error(`Input chart not found: ${inputPath}`);
+    }
+
+    const position = options.position || config.annotation.position;
+    const margin = options.margin ?? config.annotation.margin;
+    const chart = await this.loadChart(inputPath, options);
+    const box = this.renderOverlay(formatOverlayLines(layer3, options.content), chart.info, options);
+    const { left, top } = getBoxOffset(position, chart.info, box, margin);
+
+    await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+    await sharp(chart.data)
+      .composite([{ input: box.svg, left, top }])
+      .png()
+      .toFile(outputPath);
+
+    console.log(`[LocalAnnotator] Annotated chart saved: ${outputPath} (${box.width}x${box.height} box at ${position})`);
+    return outputPath;
+  }
+}
+
+export const localAnnotator = new LocalAnnotator();
@@ -0,0 +1,491 @@
+import { downloadChart } from './chart-sources/index.js';
+import { getAnalysisProvider } from './analysis-providers/index.js';
+import { geminiAnnotator } from './gemini-annotator.js';
+import { localAnnotator } from './local-annotator.js';
+import { verifyAnnotation } from './annotation-verifier.js';
+import { zonesAnnotator } from './zones-annotator.js';
+import { translateAnalysis } from './translation.js';
+import { database } from './database.js';
+import { detectChartChange } from './change-detector.js';
+import { ANALYSIS_SCHEMA_VERSION, checkAnalysisConsistency } from './analysis-validator.js';
+import { parseAnalysisResponse } from './analysis-providers/analysis-provider.js';
+import { loadAnalysisArchive, loadEnsembleArchives } from './analysis-archive.js';
+import { getPreviousAnalysisContext } from './analysis-context.js';
+import { mergeAnalyses, runEnsemble } from './ensemble.js';
+import { assertWithinBudget } from './usage.js';
+import { computeImageHash } from '../utils/image-hash.js';
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import { getFilePath } from '../utils/storage.js';
+import { getTimestamp } from '../utils/date.js';
+
+/**
+ * Pipeline Service
+ *
+ * Runs download -> OpenAI analysis -> Gemini annotation -> save as one job.
+ * Each step's status, timing and error is persisted to the pipeline_runs table.
+ */
+
+let activeRunId = null;
+
+/**
+ * Run a step without tracking (used by the plain /analyze endpoint)
+ * @param {string} name - Step name
+ * @param {Function} fn - Step function
+ * @returns {Promise<*>} Step result
+ */
+function runUntracked(name, fn) {
+  return fn();
+}
+
+/**
+ * Check a Gemini annotation against the original chart
+ * A rejected annotation is moved to rejected/; verifier errors are logged and skip the check.
+ * @param {string} chartPath - Path to original chart PNG
+ * @param {string} annotatedPath - Path to annotated chart PNG
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Object|null>} Integrity result with status 'passed', 'flagged' or 'rejected', or null if not checked
+ */
+async function checkAnnotationIntegrity(chartPath, annotatedPath, date) {
+  if (!config.annotationIntegrity.enabled) {
+    return null;
+  }
+
+  let result;
+  try {
+    result = await verifyAnnotation(chartPath, annotatedPath, getFilePath('annotation_diff.png', date));
+  } catch (error) {
+    console.warn(`[Pipeline] Annotation integrity check failed: ${error.message}`);
+    return null;
+  }
+
+  if (result.status === 'passed') {
+    return result;
+  }
+
+  if (config.annotationIntegrity.action === 'flag') {
+    return { ...result, status: 'flagged' };
+  }
+
+  const rejectedPath = getFilePath(`rejected/gemini-annotated-${Date.now()}.png`, date);
+  await fs.promises.mkdir(path.dirname(rejectedPath), { recursive: true });
+  await fs.promises.rename(annotatedPath, rejectedPath);
+  console.warn(`[Pipeline] Gemini annotation rejected, moved to ${rejectedPath}`);
+
+  return { ...result, status: 'rejected' };
+}
+
+/**
+ * Annotate a chart with the configured annotator
+ * A Gemini annotation that fails, or changes chart pixels outside its overlay box beyond
+ * config.annotationIntegrity, is redrawn by the local annotator when config.annotation.fallback is on.
+ * @param {string} chartPath - Path to original chart PNG
+ * @param {string} annotatedPath - Path to save annotated chart PNG
+ * @param {Object} layer3 - Layer 3 analysis object
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<{annotator: string, integrity: Object|null}>} Annotator that drew the chart ('gemini' or 'local') and the Gemini integrity result
+ */
+async function annotateChart(chartPath, annotatedPath, layer3, date) {
+  if (config.annotation.annotator === 'local') {
+    await localAnnotator.annotateChart(chartPath, annotatedPath, layer3);
+    return { annotator: 'local', integrity: null };
+  }
+
+  let integrity = null;
+  try {
+    await geminiAnnotator.annotateChart(chartPath, annotatedPath, layer3, { date });
+    integrity = await checkAnnotationIntegrity(chartPath, annotatedPath, date);
+
+    if (integrity?.status === 'rejected') {
+      throw new Error(`Gemini annotation failed the integrity check: ${integrity.reason} (integrity score ${integrity.score})`);
+    }
+    return { annotator: 'gemini', integrity };
+  } catch (error) {
+    if (!config.annotation.fallback) {
+      error.integrity = integrity;
+      throw error;
+    }
+    console.warn(`[Pipeline] Gemini annotation failed (${error.message}), falling back to the local annotator`);
+    await localAnnotator.annotateChart(chartPath, annotatedPath, layer3);
+    return { annotator: 'local', integrity };
+  }
+}
+
+/**
+ * Record an annotation integrity result on an analysis
+ * Flagged and rejected annotations also add a warning.
+ * @param {Object} analysis - Analysis
+ * @param {Object|null} integrity - Result of checkAnnotationIntegrity()
+ */
+function applyIntegrity(analysis, integrity) {
+  analysis.integrity_score = integrity?.score ?? null;
+  analysis.integrity_status = integrity?.status || null;
+  analysis.annotation_diff_url = integrity?.heatmapPath || null;
+
+  if (integrity && integrity.status !== 'passed') {
+    const warning = `annotated_chart: Gemini annotation failed the integrity check: ${integrity.reason} (integrity score ${integrity.score}, ${integrity.status})`;
+    analysis.warnings.push(warning);
+    console.warn(`[Pipeline] Consistency warning: ${warning}`);
+  }
+}
+
+/**
+ * Draw the scenario target zones on zones_chart.png
+ * Failures (e.g. no price-axis calibration) are logged and leave the zones chart out.
+ * @param {string} chartPath - Path to original chart PNG
+ * @param {Object} analysis - Analysis with layer2 scenarios
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<string|null>} Path to zones chart, or null if none was drawn
+ */
+async function drawScenarioZones(chartPath, analysis, date) {
+  if (!config.zones.enabled) {
+    return null;
+  }
+
+  try {
+    const result = await zonesAnnotator.drawZones(chartPath, getFilePath('zones_chart.png', date), analysis.layer2.scenario_analysis.scenarios);
+    return result.path;
+  } catch (error) {
+    console.warn(`[Pipeline] Scenario zones not drawn: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Build a carried-forward analysis from the previous trading day's record
+ * The previous annotated chart is copied so no new Gemini call is needed.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} change - Result of detectChartChange()
+ * @returns {Promise<Object>} Analysis ready to save
+ */
+async function carryForward(date, change) {
+  const analysis = database.mapRowToAnalysis(change.previousRecord);
+  const annotatedPath = getFilePath('annotated_chart.png', date);
+  const previousAnnotatedPath = getFilePath('annotated_chart.png', change.previousRecord.asof_date);
+
+  analysis.asof_date = date;
+  analysis.layer1.asof_date = date;
+  analysis.original_chart_url = getFilePath('original_chart.png', date);
+  analysis.chart_hash = change.hash;
+  analysis.carried_forward = true;
+  analysis.carried_forward_from = change.sourceDate;
+  analysis.layer2.scenario_analysis.scenario_changes = [];
+  analysis.annotated_chart_url = null;
+  analysis.warnings = checkAnalysisConsistency(analysis, date);
+
+  // The scenarios are unchanged, so the zones chart is copied too
+  const zonesPath = getFilePath('zones_chart.png', date);
+  const previousZonesPath = getFilePath('zones_chart.png', change.previousRecord.asof_date);
+  analysis.zones_chart_url = null;
+  if (change.previousRecord.zones_chart_url && fs.existsSync(previousZonesPath)) {
+    await fs.promises.copyFile(previousZonesPath, zonesPath);
+    analysis.zones_chart_url = zonesPath;
+  }
+
+  // The annotator and integrity result describe the copied chart, so they carry over with it
+  if (change.previousRecord.annotated_chart_url && fs.existsSync(previousAnnotatedPath)) {
+    await fs.promises.copyFile(previousAnnotatedPath, annotatedPath);
+    analysis.annotated_chart_url = annotatedPath;
+  } else {
+    analysis.annotator = null;
+    applyIntegrity(analysis, null);
+  }
+
+  console.log(`[Pipeline] Chart unchanged, carrying forward analysis from ${change.sourceDate}`);
+  return analysis;
+}
+
+/**
+ * Analyze an already-downloaded chart, annotate it and save the result
+ * If the chart has not materially changed since the previous trading day, that analysis is
+ * carried forward instead (unless force is set).
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} [options] - Options
+ * @param {Function} [options.step] - Step wrapper (name, fn) used for tracking
+ * @param {boolean} [options.force=false] - Always run a fresh analysis, even past the monthly budget
+ * @param {boolean} [options.ensemble] - Merge the results of config.ensemble.members (default config.ensemble.enabled)
+ * @returns {Promise<{analysis: Object, savedRecord: Object, carriedForward: boolean}>} Analysis (with consistency warnings) and saved database row
+ */
+export async function analyzeAndSave(date, { step = runUntracked, force = false, ensemble = config.ensemble.enabled } = {}) {
+  const chartPath = getFilePath('original_chart.png', date);
+
+  const change = await step('compare', () => detectChartChange(date));
+
+  if (change.unchanged && !force) {
+    const analysis = await carryForward(date, change);
+    const savedRecord = await step('save', () => database.saveAnalysis(analysis));
+    return { analysis, savedRecord, carriedForward: true };
+  }
+
+  let context = [];
+  const analysis = await step('analyze', async () => {
+    // Forced runs are allowed past the monthly budget
+    if (!force) {
+      await assertWithinBudget();
+    }
+    if (config.analysisContext.enabled) {
+      context = await getPreviousAnalysisContext(date);
+      console.log(`[Pipeline] Including ${context.length} previous analyses in the prompt`);
+    }
+    return ensemble
+      ? runEnsemble(chartPath, date, { context })
+      : getAnalysisProvider().analyze(chartPath, date, { context });
+  });
+
+  analysis.warnings = checkAnalysisConsistency(analysis, date);
+  if (context.length > 0 && !analysis.layer2.scenario_analysis.scenario_changes) {
+    analysis.warnings.push('layer2.scenario_analysis.scenario_changes: missing although previous analyses were included');
+  }
+  analysis.warnings.forEach(warning => console.warn(`[Pipeline] Consistency warning: ${warning}`));
+
+  analysis.asof_date = date;
+  analysis.original_chart_url = chartPath;
+  analysis.chart_hash = change.hash;
+
+  // Failed translations are logged and left out; the analysis is saved either way
+  analysis.layer3_translations = config.localization.locales.length > 0
+    ? await step('translate', () => translateAnalysis(analysis, date))
+    : {};
+
+  const annotatedPath = getFilePath('annotated_chart.png', date);
+  try {
+    const { annotator, integrity } = await step('annotate', () => annotateChart(chartPath, annotatedPath, analysis.layer3, date));
+    analysis.annotator = annotator;
+    analysis.annotated_chart_url = annotatedPath;
+    applyIntegrity(analysis, integrity);
+    console.log(`[Pipeline] Chart annotation complete (${annotator})`);
+  } catch (error) {
+    console.error('[Pipeline] Chart annotation failed:', error);
+    // Continue without annotation
+    analysis.annotated_chart_url = null;
+    analysis.annotator = null;
+    applyIntegrity(analysis, error.integrity ?? null);
+  }
+
+  analysis.zones_chart_url = await step('zones', () => drawScenarioZones(chartPath, analysis, date));
+
+  const savedRecord = await step('save', () => database.saveAnalysis(analysis));
+
+  return { analysis, savedRecord, carriedForward: false };
+}
+
+/**
+ * Re-parse and re-validate the last response in an analysis archive
+ * @param {Object} archive - Archive from analysis-archive.js
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Object} Analysis with layer1, layer2, layer3
+ */
+function parseArchivedAnalysis(archive, date) {
+  const lastExchange = archive.exchanges[archive.exchanges.length - 1];
+  const { analysis, errors } = parseAnalysisResponse(lastExchange?.raw_response ?? '');
+
+  if (errors.length > 0) {
+    throw new Error(`Archived response for ${date} fails schema v${ANALYSIS_SCHEMA_VERSION}:\n${errors.join('\n')}`);
+  }
+  return analysis;
+}
+
+/**
+ * Rebuild a day's secular_analysis row from its archived analysis response
+ * No analysis provider is called; the chart files already on disk are linked if present and
+ * the scenario zones are redrawn.
+ * If the day's latest run was an ensemble, the archived member responses are merged again.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<{analysis: Object, savedRecord: Object}|null>} Rebuilt analysis and saved database row, or null if nothing is archived for the date
+ */
+export async function replayAnalysis(date) {
+  let archive = await loadAnalysisArchive(date);
+  const memberArchives = await loadEnsembleArchives(date);
+
+  // The database fallback may return an ensemble member; only single-model archives count here
+  if (archive?.ensemble_member) {
+    archive = null;
+  }
+  if (!archive && memberArchives.length === 0) {
+    return null;
+  }
+
+  // Replay whichever ran last: the single-model analysis or the ensemble
+  const replayEnsemble = memberArchives.length > 0 &&
+    (!archive || memberArchives.every(member => member.finished_at > archive.finished_at));
+
+  let analysis;
+  if (replayEnsemble) {
+    const members = memberArchives.map(member => ({
+      label: member.ensemble_member,
+      provider: member.provider,
+      model: member.model,
+      analysis: parseArchivedAnalysis(member, date)
+    }));
+    analysis = mergeAnalyses(members, date);
+    console.log(`[Pipeline] Replaying ensemble of ${members.length} members for ${date}`);
+  } else {
+    analysis = parseArchivedAnalysis(archive, date);
+    console.log(`[Pipeline] Replaying ${archive.provider} response from ${archive.finished_at} for ${date}`);
+  }
+
+  const chartPath = getFilePath('original_chart.png', date);
+  const annotatedPath = getFilePath('annotated_chart.png', date);
+
+  analysis.warnings = checkAnalysisConsistency(analysis, date);
+  analysis.asof_date = date;
+  analysis.original_chart_url = fs.existsSync(chartPath) ? chartPath : null;
+  analysis.annotated_chart_url = fs.existsSync(annotatedPath) ? annotatedPath : null;
+  analysis.zones_chart_url = analysis.original_chart_url ? await drawScenarioZones(chartPath, analysis, date) : null;
+
+  // Annotation results are not part of the archive; keep the ones already stored
+  const existing = await database.getAnalysisByDate(date);
+  analysis.annotator = analysis.annotated_chart_url ? existing?.annotator ?? null : null;
+  analysis.integrity_score = existing?.integrity_score ?? null;
+  analysis.integrity_status = existing?.integrity_status ?? null;
+  analysis.annotation_diff_url = existing?.annotation_diff_url ?? null;
+
+  // Translations are kept while the English Layer 3 is unchanged
+  const layer3Key = layer3 => JSON.stringify([layer3.scenario_summary, layer3.primary_message]);
+  analysis.layer3_translations = existing && layer3Key(database.mapRowToAnalysis(existing).layer3) === layer3Key(analysis.layer3)
+    ? existing.layer3_translations || {}
+    : {};
+  if (existing && Object.keys(existing.layer3_translations || {}).length > 0 && Object.keys(analysis.layer3_translations).length === 0) {
+    console.warn(`[Pipeline] Layer 3 changed on replay, dropping stored translations for ${date}`);
+  }
+  analysis.chart_hash = fs.existsSync(chartPath) ? await computeImageHash(chartPath) : null;
+
+  const savedRecord = await database.saveAnalysis(analysis);
+
+  return { analysis, savedRecord };
+}
+
+/**
+ * Create a step wrapper that records status and timings on a pipeline run
+ * @param {Object} run - Pipeline run record
+ * @returns {Function} Step wrapper (name, fn)
+ */
+function createTrackedStep(run) {
+  return async (name, fn) => {
+    const startedAt = Date.now();
+    const step = { status: 'running', startedAt: getTimestamp() };
+    run.steps[name] = step;
+    await database.updatePipelineRun(run.id, { steps: run.steps });
+
+    console.log(`[Pipeline] Run ${run.id}: step "${name}" started`);
+
+    try {
+      const result = await fn();
+      step.status = 'succeeded';
+      return result;
+    } catch (error) {
+      step.status = 'failed';
+      step.error = error.message;
+      throw error;
+    } finally {
+      step.finishedAt = getTimestamp();
+      step.durationMs = Date.now() - startedAt;
+      console.log(`[Pipeline] Run ${run.id}: step "${name}" ${step.status} (${step.durationMs}ms)`);
+
+      // A failed status write must not replace the step's own error
+      try {
+        await database.updatePipelineRun(run.id, { steps: run.steps });
+      } catch (error) {
+        console.error(`[Pipeline] Run ${run.id}: could not record step "${name}":`, error.message);
+      }
+    }
+  };
+}
+
+/**
+ * Execute all steps of an existing pipeline run
+ * @param {Object} run - Pipeline run record
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} options - Options passed to analyzeAndSave
+ * @returns {Promise<Object>} Final pipeline run record
+ */
+async function executeRun(run, date, options) {
+  const step = createTrackedStep(run);
+
+  await database.updatePipelineRun(run.id, {
+    status: 'running',
+    started_at: getTimestamp()
+  });
+
+  try {
+    await step('download', () => downloadChart(date));
+    const { savedRecord } = await analyzeAndSave(date, { ...options, step });
+
+    console.log(`[Pipeline] Run ${run.id} succeeded (analysis ID: ${savedRecord.id})`);
+    return await database.updatePipelineRun(run.id, {
+      status: 'succeeded',
+      analysis_id: savedRecord.id,
+      finished_at: getTimestamp()
+    });
+  } catch (error) {
+    console.error(`[Pipeline] Run ${run.id} failed:`, error);
+    return await database.updatePipelineRun(run.id, {
+      status: 'failed',
+      error: error.message,
+      finished_at: getTimestamp()
+    });
+  }
+}
+
+/**
+ * Check whether a pipeline run is in progress in this process
+ * @returns {boolean} True if a run is in progress
+ */
+export function isPipelineRunning() {
+  return activeRunId !== null;
+}
+
+/**
+ * Start a pipeline run in the background
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} [options] - Options
+ * @param {string} [options.triggeredBy='api'] - What started the run
+ * @param {boolean} [options.force=false] - Run a fresh analysis even if the chart is unchanged
+ * @param {boolean} [options.ensemble] - Run the multi-model ensemble (default config.ensemble.enabled)
+ * @returns {Promise<{run: Object, done: Promise<Object>}>} Created run record and a promise for the final record
+ */
+export async function startPipeline(date, { triggeredBy = 'api', force = false, ensemble = config.ensemble.enabled } = {}) {
+  if (isPipelineRunning()) {
+    throw new Error(`Pipeline run ${activeRunId} already in progress`);
+  }
+
+  // Reserve the slot before the first await so concurrent callers are rejected
+  activeRunId = 'pending';
+
+  let run;
+  try {
+    run = await database.createPipelineRun({ asof_date: date, triggered_by: triggeredBy });
+  } catch (error) {
+    activeRunId = null;
+    throw error;
+  }
+  activeRunId = run.id;
+
+  console.log(`[Pipeline] Run ${run.id} started for ${date} (triggered by ${triggeredBy})`);
+
+  const done = executeRun({ ...run, steps: {} }, date, { force, ensemble })
+    .finally(() => {
+      activeRunId = null;
+    });
+
+  return { run, done };
+}
+
+/**
+ * Run the pipeline and wait for it to finish
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} [options] - Options passed to startPipeline
+ * @returns {Promise<Object>} Final pipeline run record
+ */
+export async function runPipeline(date, options = {}) {
+  const { done } = await startPipeline(date, options);
+  return done;
+}
+
+export default {
+  analyzeAndSave,
+  isPipelineRunning,
+  startPipeline,
+  runPipeline
+};
@@ -0,0 +1,170 @@
+import { config } from '../config.js';
+import { database } from './database.js';
+import { isPipelineRunning, startPipeline } from './pipeline.js';
+import { getSourcesForDate } from './chart-sources/index.js';
+import { getCurrentDate, getTimestamp, getZonedDateTime } from '../utils/date.js';
+import { addDays, getHolidayName, getPreviousTradingDay, isTradingDay, listTradingDays } from '../utils/market-calendar.js';
+
+/**
+ * Pipeline Scheduler
+ *
+ * Fires the pipeline after the US close on NYSE trading days. On every check it looks back
+ * over the last `catchUpDays` trading days, so runs missed while the service was down are
+ * picked up when it comes back. A past day is only caught up when some chart source can
+ * capture it (the live charts only show the current day, see STOCKCHARTS_HISTORICAL_CHART_URL).
+ */
+class Scheduler {
+  constructor() {
+    this.timer = null;
+    this.checking = false;
+    this.attempts = new Map(); // date -> { count, lastAttemptAt }
+    this.skipped = new Set(); // dates already logged as not capturable
+    this.lastCheckAt = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Get the most recent trading day whose scheduled run time has passed
+   * @param {Date} [now] - Current time
+   * @returns {string} Date in YYYY-MM-DD format
+   */
+  getDueDate(now = new Date()) {
+    const { date, time } = getZonedDateTime(config.market.timezone, now);
+
+    if (isTradingDay(date) && time >= config.scheduler.runTime) {
+      return date;
+    }
+
+    return getPreviousTradingDay(date);
+  }
+
+  /**
+   * Check whether a date may be attempted again
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {boolean} True if the date has attempts left and is past its retry delay
+   */
+  canAttempt(date) {
+    const attempt = this.attempts.get(date);
+    if (!attempt) {
+      return true;
+    }
+
+    return attempt.count < config.scheduler.maxAttempts &&
+      Date.now() - attempt.lastAttemptAt >= config.scheduler.retryDelay;
+  }
+
+  /**
+   * Run the pipeline for every due trading day that has no analysis yet
+   * @returns {Promise<void>}
+   */
+  async check() {
+    if (this.checking || isPipelineRunning()) {
+      return;
+    }
+
+    this.checking = true;
+    this.lastCheckAt = getTimestamp();
+
+    try {
+      const dueDate = this.getDueDate();
+      const candidates = listTradingDays(addDays(dueDate, -config.scheduler.catchUpDays), dueDate);
+
+      for (const date of candidates) {
+        if (!this.canAttempt(date)) {
+          continue;
+        }
+
+        const existing = await database.getAnalysisByDate(date);
+        if (existing) {
+          continue;
+        }
+
+        if (getSourcesForDate(date).length === 0) {
+          if (!this.skipped.has(date)) {
+            this.skipped.add(date);
+            console.warn(`[Scheduler] Skipping ${date}: no chart source in ${config.chartSources.order.join(',')} can capture it (set STOCKCHARTS_HISTORICAL_CHART_URL to catch up past days)`);
+          }
+          continue;
+        }
+
+        const triggeredBy = date === dueDate ? 'scheduler' : 'scheduler-catchup';
+        console.log(`[Scheduler] Running pipeline for ${date} (${triggeredBy})`);
+
+        const attempt = this.attempts.get(date) || { count: 0 };
+        this.attempts.set(date, { count: attempt.count + 1, lastAttemptAt: Date.now() });
+
+        const { done } = await startPipeline(date, { triggeredBy });
+        const run = await done;
+
+        this.lastRun = { date, jobId: run.id, status: run.status, finishedAt: getTimestamp() };
+        console.log(`[Scheduler] Pipeline for ${date} finished: ${run.status}`);
+
+        if (run.status === 'succeeded') {
+          this.attempts.delete(date);
+        }
+      }
+    } catch (error) {
+      console.error('[Scheduler] Check failed:', error);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Start periodic checks
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const today = getCurrentDate();
+    const holiday = getHolidayName(today);
+
+    console.log(`[Scheduler] Started: runs at ${config.scheduler.runTime} ${config.market.timezone} on NYSE trading days`);
+    console.log(`[Scheduler] Catch-up window: ${config.scheduler.catchUpDays} days`);
+    if (holiday) {
+      console.log(`[Scheduler] Market closed today (${holiday})`);
+    }
+
+    this.timer = setInterval(() => {
+      this.check().catch(err => {
+        console.error('[Scheduler] Unexpected error:', err);
+      });
+    }, config.scheduler.checkInterval);
+
+    // Check immediately so missed runs are caught up on startup
+    this.check().catch(err => {
+      console.error('[Scheduler] Unexpected error:', err);
+    });
+  }
+
+  /**
+   * Stop periodic checks
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('[Scheduler] Stopped');
+    }
+  }
+
+  /**
+   * Get scheduler status for /health
+   * @returns {Object} Scheduler status
+   */
+  getStatus() {
+    return {
+      enabled: config.scheduler.enabled,
+      running: this.timer !== null,
+      timezone: config.market.timezone,
+      runTime: config.scheduler.runTime,
+      dueDate: this.getDueDate(),
+      lastCheckAt: this.lastCheckAt,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+export const scheduler = new Scheduler();
@@ -0,0 +1,202 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import { getAnalysisProvider } from './analysis-providers/index.js';
+import { recordUsage } from './usage.js';
+import { getTimestamp } from '../utils/date.js';
+
+/**
+ * Layer 3 Translation
+ *
+ * After a fresh analysis, scenario_summary and primary_message are translated into every
+ * locale in config.localization.locales by the active analysis provider (a text-only JSON
+ * request, see AnalysisProvider.complete()). Market terms are pinned by a glossary in
+ * src/prompts/glossaries/<locale>.json. Translations are stored per locale in the
+ * layer3_translations column and served by GET /analysis/:date?lang=<locale>.
+ */
+
+const PROMPT_URL = new URL('../prompts/layer3-translation.md', import.meta.url);
+
+/**
+ * Load the glossary for a locale
+ * @param {string} locale - Locale, e.g. "zh-TW"
+ * @returns {Object<string, string>} English term -> translation ({} if the locale has no glossary)
+ */
+export function loadGlossary(locale) {
+  const glossaryPath = path.join(config.localization.glossaryDir, `${locale}.json`);
+  return fs.existsSync(glossaryPath) ? JSON.parse(fs.readFileSync(glossaryPath, 'utf-8')) : {};
+}
+
+/**
+ * Match a requested language to a configured locale (case-insensitive)
+ * @param {string} lang - Requested language, e.g. "zh-tw"
+ * @returns {string|null} 'en' for the original text, the configured locale, or null if unsupported
+ */
+export function resolveLocale(lang) {
+  if (/^en(-|$)/i.test(lang)) {
+    return 'en';
+  }
+  return config.localization.locales.find(locale => locale.toLowerCase() === lang.toLowerCase()) || null;
+}
+
+/**
+ * Check a translated Layer 3 against its source
+ * @param {Object} translated - Parsed reply
+ * @param {Object} layer3 - Source Layer 3
+ * @returns {string[]} Errors
+ */
+function validateTranslation(translated, layer3) {
+  const errors = [];
+  const summaries = layer3.scenario_summary || [];
+
+  if (!translated || typeof translated !== 'object' || Array.isArray(translated)) {
+    return ['(root): response must be a JSON object'];
+  }
+  if (!Array.isArray(translated.scenario_summary) || translated.scenario_summary.length !== summaries.length) {
+    errors.push(`scenario_summary: expected an array of ${summaries.length} strings`);
+  } else if (translated.scenario_summary.some(summary => typeof summary !== 'string' || !summary.trim())) {
+    errors.push('scenario_summary: every entry must be a non-empty string');
+  }
+  if (layer3.primary_message && (typeof translated.primary_message !== 'string' || !translated.primary_message.trim())) {
+    errors.push('primary_message: must be a non-empty string');
+  }
+
+  return errors;
+}
+
+/**
+ * List the numbers in a text (used to spot translations that changed a figure)
+ * @param {string} text - Text
+ * @returns {string} Sorted numbers, comma-separated
+ */
+function listNumbers(text) {
+  return (String(text).match(/\d+(?:\.\d+)?/g) || []).sort().join(',');
+}
+
+/**
+ * Translate Layer 3 into one locale
+ * @param {Object} layer3 - Layer 3 analysis object
+ * @param {string} locale - Target locale
+ * @param {string} date - Analysis date (YYYY-MM-DD), for usage accounting
+ * @param {Object} [options] - Options
+ * @param {import('./analysis-providers/analysis-provider.js').AnalysisProvider} [options.provider] - Provider (default: the active one)
+ * @returns {Promise<{scenario_summary: string[], primary_message: string, provider: string, model: string|null, translated_at: string}>} Translated Layer 3
+ */
+export async function translateLayer3(layer3, locale, date, { provider = getAnalysisProvider() } = {}) {
+  const language = config.localization.languages[locale];
+  if (!language) {
+    throw new Error(`Unsupported locale "${locale}"`);
+  }
+
+  console.log(`[Translation] Translating Layer 3 into ${locale} with ${provider.name}...`);
+
+  const request = {
+    locale,
+    language,
+    glossary: loadGlossary(locale),
+    layer3: {
+      scenario_summary: layer3.scenario_summary || [],
+      primary_message: layer3.primary_message || ''
+    }
+  };
+  const systemPrompt = fs.readFileSync(PROMPT_URL, 'utf-8').trim();
+  let reply = null;
+
+  try {
+    reply = await provider.complete(systemPrompt, JSON.stringify(request, null, 2));
+
+    let translated;
+    try {
+      translated = JSON.parse(reply.text);
+    } catch (error) {
+      throw new Error(`${locale} translation is not valid JSON (${error.message})`);
+    }
+
+    const errors = validateTranslation(translated, request.layer3);
+    if (errors.length > 0) {
+      throw new Error(`${locale} translation does not match Layer 3:\n${errors.join('\n')}`);
+    }
+
+    // Figures must survive translation; a mismatch is worth a look but not a failure
+    translated.scenario_summary.forEach((summary, index) => {
+      if (listNumbers(summary) !== listNumbers(request.layer3.scenario_summary[index])) {
+        console.warn(`[Translation] ${locale} scenario_summary[${index}] has different numbers than the source: "${summary}"`);
+      }
+    });
+
+    return {
+      scenario_summary: translated.scenario_summary,
+      primary_message: translated.primary_message || '',
+      provider: provider.name,
+      model: reply.metadata?.model || null,
+      translated_at: getTimestamp()
+    };
+  } finally {
+    // A reply that fails validation still used tokens
+    if (reply) {
+      await recordUsage({
+        asof_date: date,
+        service: provider.service,
+        operation: 'translation',
+        model: reply.metadata?.model || null,
+        prompt_tokens: reply.usage?.prompt_tokens || 0,
+        completion_tokens: reply.usage?.completion_tokens || 0
+      });
+    }
+  }
+}
+
+/**
+ * Translate an analysis' Layer 3 into every configured locale
+ * Failed locales are logged and left out.
+ * @param {Object} analysis - Analysis with layer3
+ * @param {string} date - Analysis date (YYYY-MM-DD)
+ * @returns {Promise<Object<string, Object>>} Translations by locale (see translateLayer3)
+ */
+export async function translateAnalysis(analysis, date) {
+  const translations = {};
+
+  for (const locale of config.localization.locales) {
+    try {
+      translations[locale] = await translateLayer3(analysis.layer3, locale, date);
+    } catch (error) {
+      console.warn(`[Translation] ${locale} translation failed: ${error.message}`);
+    }
+  }
+
+  return translations;
+}
+
+/**
+ * Replace the Layer 3 text of a secular_analysis row (primary_message and the summary of each
+ * scenario) with a stored translation
+ * @param {Object} record - Database row with its scenarios
+ * @param {string} locale - Locale from resolveLocale()
+ * @returns {Object|null} Localized copy of the row with a locale field, or null if the row has no translation for the locale
+ */
+export function localizeRecord(record, locale) {
+  if (locale === 'en') {
+    return { ...record, locale: 'en' };
+  }
+
+  const translation = record.layer3_translations?.[locale];
+  if (!translation) {
+    return null;
+  }
+
+  // Translated summaries follow layer3.scenario_summary, which skips scenarios without a summary
+  let next = 0;
+  const scenarios = (record.scenarios || []).map(scenario => (scenario.summary === null
+    ? scenario
+    : { ...scenario, summary: translation.scenario_summary[next++] ?? null }));
+
+  return { ...record, locale, scenarios, primary_message: translation.primary_message };
+}
+
+export default {
+  loadGlossary,
+  resolveLocale,
+  translateLayer3,
+  translateAnalysis,
+  localizeRecord
+};
@@ -0,0 +1,125 @@
+import { config } from '../config.js';
+import { database } from './database.js';
+import { getCurrentDate } from '../utils/date.js';
+
+/**
+ * AI Usage Accounting
+ *
+ * Every OpenAI and Gemini call records its tokens and generated images in the ai_usage table,
+ * priced with config.pricing. Usage is stored per asof_date and per billing month (the market
+ * month in which the call was made), which is what the monthly budget is checked against.
+ */
+
+/**
+ * Find the price entry for a model (longest matching prefix, so dated model names resolve)
+ * @param {string} model - Model name reported by the API
+ * @returns {Object|null} Price entry { input, output, image }
+ */
+export function getModelPrice(model) {
+  if (!model) {
+    return null;
+  }
+
+  const match = Object.keys(config.pricing.models)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? config.pricing.models[match] : null;
+}
+
+/**
+ * Calculate the cost of a call in USD
+ * @param {Object} usage - Usage
+ * @param {string} usage.model - Model name
+ * @param {number} [usage.prompt_tokens=0] - Input tokens
+ * @param {number} [usage.completion_tokens=0] - Output tokens
+ * @param {number} [usage.images=0] - Generated images
+ * @returns {number} Cost in USD (0 for models missing from the price table)
+ */
+export function calculateCost({ model, prompt_tokens = 0, completion_tokens = 0, images = 0 }) {
+  const price = getModelPrice(model);
+  if (!price) {
+    return 0;
+  }
+
+  return (prompt_tokens * (price.input || 0) + completion_tokens * (price.output || 0)) / 1e6 +
+    images * (price.image || 0);
+}
+
+/**
+ * Record the usage of one AI call
+ * Failures are logged and never fail the call itself.
+ * @param {Object} usage - Usage
+ * @param {string} usage.asof_date - Date the call was made for (YYYY-MM-DD)
+ * @param {string} usage.service - 'openai', 'gemini' or 'mock' (the analysis provider's service)
+ * @param {string} usage.operation - 'analysis', 'translation' or 'annotation'
+ * @param {string} usage.model - Model name
+ * @param {number} [usage.prompt_tokens] - Input tokens
+ * @param {number} [usage.completion_tokens] - Output tokens
+ * @param {number} [usage.images] - Generated images
+ * @returns {Promise<void>}
+ */
+export async function recordUsage(usage) {
+  const row = {
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    images: 0,
+    ...usage,
+    billing_month: getCurrentDate().slice(0, 7),
+    cost_usd: calculateCost(usage)
+  };
+
+  if (usage.model && !getModelPrice(usage.model)) {
+    console.warn(`[Usage] No price for model "${usage.model}", recording cost as 0 (add it to config.pricing.models)`);
+  }
+
+  try {
+    await database.saveUsage(row);
+    console.log(`[Usage] ${row.service} ${row.operation} (${row.model}): ${row.prompt_tokens}+${row.completion_tokens} tokens, ${row.images} images, $${row.cost_usd.toFixed(4)}`);
+  } catch (error) {
+    console.warn(`[Usage] Could not record usage: ${error.message}`);
+  }
+}
+
+/**
+ * Get this month's spend against the monthly budget
+ * @returns {Promise<Object>} { month, monthlyBudgetUsd, spentUsd, remainingUsd, exceeded }
+ */
+export async function getBudgetStatus() {
+  const month = getCurrentDate().slice(0, 7);
+  const budget = config.pricing.monthlyBudget;
+  const spent = await database.getMonthSpend(month);
+
+  return {
+    month,
+    monthlyBudgetUsd: budget || null,
+    spentUsd: spent,
+    remainingUsd: budget ? Math.max(budget - spent, 0) : null,
+    exceeded: Boolean(budget) && spent >= budget
+  };
+}
+
+/**
+ * Throw if this month's spend has reached the monthly budget
+ * @returns {Promise<void>}
+ */
+export async function assertWithinBudget() {
+  if (!config.pricing.monthlyBudget) {
+    return;
+  }
+
+  const status = await getBudgetStatus();
+  if (status.exceeded) {
+    const error = new Error(`Monthly AI budget exceeded: $${status.spentUsd.toFixed(2)} spent of $${status.monthlyBudgetUsd.toFixed(2)} in ${status.month}. Use force=true to run anyway.`);
+    error.code = 'BUDGET_EXCEEDED';
+    throw error;
+  }
+}
+
+export default {
+  getModelPrice,
+  calculateCost,
+  recordUsage,
+  getBudgetStatus,
+  assertWithinBudget
+};
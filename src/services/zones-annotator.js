@@ -0,0 +1,184 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { config } from '../config.js';
+import { escapeXml } from './local-annotator.js';
+import { calibratePriceAxis, detectLastPrice, priceToY } from '../utils/price-axis.js';
+
+/**
+ * Scenario Target Zones
+ *
+ * Draws each scenario's target zone as a labelled horizontal band on a copy of the chart
+ * (zones_chart.png). A zone is the last plotted price moved by the scenario's
+ * expected_move_percent range, placed on the image through the price-axis calibration.
+ * Bands are coloured from config.zones.lowColor (probability 0) to highColor (probability 1)
+ * and drawn from least to most likely, so the most likely zone is on top.
+ */
+
+// Average glyph width of a sans-serif font, as a fraction of the font size (label backgrounds)
+const CHAR_WIDTH_RATIO = 0.55;
+// Height in px of the band drawn at the edge for a zone outside the chart
+const EDGE_BAND_HEIGHT = 6;
+
+/**
+ * Mix two #rrggbb colours
+ * @param {string} from - Colour at ratio 0
+ * @param {string} to - Colour at ratio 1
+ * @param {number} ratio - 0 to 1
+ * @returns {string} #rrggbb colour
+ */
+function mixColor(from, to, ratio) {
+  const channel = (color, index) => parseInt(color.slice(1 + index * 2, 3 + index * 2), 16);
+  return '#' + [0, 1, 2]
+    .map(index => Math.round(channel(from, index) + (channel(to, index) - channel(from, index)) * ratio)
+      .toString(16)
+      .padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Format a price for a label
+ * @param {number} price - Price
+ * @returns {string} Price with thousands separators
+ */
+function formatPrice(price) {
+  return price.toLocaleString('en-US', { maximumFractionDigits: price < 100 ? 2 : 0 });
+}
+
+/**
+ * Compute the price zone of every scenario
+ * @param {Object[]} scenarios - layer2.scenario_analysis.scenarios
+ * @param {number} lastPrice - Last plotted price
+ * @returns {Array<{scenario: Object, low: number, high: number}>} Zones
+ */
+export function computeZones(scenarios, lastPrice) {
+  return scenarios.map(scenario => {
+    const [from, to] = scenario.expected_move_percent;
+    const prices = [from, to].map(move => lastPrice * (1 + move / 100));
+    return { scenario, low: Math.min(...prices), high: Math.max(...prices) };
+  });
+}
+
+class ZonesAnnotator {
+  /**
+   * Render the zone bands as an SVG the size of the chart
+   * @param {Array<{scenario: Object, low: number, high: number}>} zones - Zones (see computeZones)
+   * @param {Object} calibration - Price-axis calibration
+   * @param {number} lastPrice - Last plotted price
+   * @param {{width: number, height: number}} image - Chart size
+   * @returns {Buffer} SVG
+   */
+  renderZones(zones, calibration, lastPrice, image) {
+    const { lowColor, highColor, minOpacity, maxOpacity, fontSize } = config.zones;
+    const { fontFamily } = config.annotation;
+    const bandWidth = Math.max(image.width - config.priceAxis.stripRight - config.priceAxis.stripWidth, 1);
+    const lineHeight = Math.round(fontSize * 1.4);
+    const usedLabels = [];
+    const parts = [];
+
+    const sorted = [...zones].sort((a, b) => a.scenario.probability - b.scenario.probability);
+
+    for (const { scenario, low, high } of sorted) {
+      const color = mixColor(lowColor, highColor, scenario.probability);
+      const opacity = minOpacity + (maxOpacity - minOpacity) * scenario.probability;
+      const [moveFrom, moveTo] = scenario.expected_move_percent;
+
+      let top = priceToY(calibration, high);
+      let bottom = priceToY(calibration, low);
+      let note = '';
+      if (bottom <= 0) {
+        [top, bottom, note] = [0, EDGE_BAND_HEIGHT, ' (above chart)'];
+      } else if (top >= image.height) {
+        [top, bottom, note] = [image.height - EDGE_BAND_HEIGHT, image.height, ' (below chart)'];
+      }
+      top = Math.max(Math.round(top), 0);
+      bottom = Math.min(Math.round(bottom), image.height);
+      const height = Math.max(bottom - top, 1);
+
+      parts.push(
+        `<rect x="0" y="${top}" width="${bandWidth}" height="${height}" fill="${color}" fill-opacity="${opacity.toFixed(2)}"/>`,
+        `<line x1="0" y1="${top + 0.5}" x2="${bandWidth}" y2="${top + 0.5}" stroke="${color}" stroke-opacity="0.9"/>`,
+        `<line x1="0" y1="${top + height - 0.5}" x2="${bandWidth}" y2="${top + height - 0.5}" stroke="${color}" stroke-opacity="0.9"/>`
+      );
+
+      // Labels sit at the top of their band, moved right (or, if the row is full, down) past
+      // labels they would overlap
+      const label = `${scenario.name} ${Math.round(scenario.probability * 100)}% · ${moveFrom}% to ${moveTo}% · ${formatPrice(low)}–${formatPrice(high)}${note}`;
+      const labelWidth = Math.ceil(label.length * fontSize * CHAR_WIDTH_RATIO) + 12;
+      const labelBox = { x: 8, y: Math.min(top + 2, image.height - lineHeight), width: labelWidth };
+      for (;;) {
+        const overlapping = usedLabels.find(used =>
+          Math.abs(used.y - labelBox.y) < lineHeight &&
+          used.x < labelBox.x + labelBox.width + 8 &&
+          labelBox.x < used.x + used.width + 8
+        );
+        if (!overlapping) {
+          break;
+        }
+        labelBox.x = overlapping.x + overlapping.width + 8;
+        if (labelBox.x + labelWidth > bandWidth) {
+          labelBox.x = 8;
+          labelBox.y += lineHeight;
+        }
+      }
+      usedLabels.push(labelBox);
+
+      parts.push(
+        `<rect x="${labelBox.x}" y="${labelBox.y}" width="${labelWidth}" height="${lineHeight}" rx="3" fill="#000000" fill-opacity="0.65"/>`,
+        `<text x="${labelBox.x + 6}" y="${labelBox.y + fontSize}" fill="${mixColor(color, '#ffffff', 0.6)}">${escapeXml(label)}</text>`
+      );
+    }
+
+    const lastY = Math.round(priceToY(calibration, lastPrice)) + 0.5;
+    parts.push(
+      `<line x1="0" y1="${lastY}" x2="${bandWidth}" y2="${lastY}" stroke="#111111" stroke-opacity="0.8" stroke-dasharray="6 4"/>`,
+      `<text x="${bandWidth - 8}" y="${lastY - 4}" text-anchor="end" fill="#111111">${escapeXml(`Last ≈ ${formatPrice(lastPrice)}`)}</text>`
+    );
+
+    return Buffer.from(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${image.width}" height="${image.height}">` +
+      `<g font-family="${escapeXml(fontFamily)}" font-size="${fontSize}">${parts.join('')}</g>` +
+      '</svg>'
+    );
+  }
+
+  /**
+   * Draw the scenario target zones on a copy of a chart
+   * @param {string} inputPath - Path to original chart PNG
+   * @param {string} outputPath - Path to save zones chart PNG
+   * @param {Object[]} scenarios - layer2.scenario_analysis.scenarios
+   * @returns {Promise<{path: string, calibration: Object, lastPrice: number, zones: Object[]}>} Output path, calibration, last price and zone prices
+   */
+  async drawZones(inputPath, outputPath, scenarios) {
+    console.log(`[Zones] Drawing scenario target zones on ${inputPath}`);
+
+    if (!fs.existsSync(inputPath)) {
+      throw new Error(`Input chart not found: ${inputPath}`);
+    }
+
+    const calibration = await calibratePriceAxis(inputPath);
+    const lastPrice = await detectLastPrice(inputPath, calibration);
+    if (!lastPrice) {
+      throw new Error('Could not find the last plotted price on the chart');
+    }
+
+    const image = await sharp(inputPath).metadata();
+    const zones = computeZones(scenarios, lastPrice);
+
+    await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+    await sharp(inputPath)
+      .composite([{ input: this.renderZones(zones, calibration, lastPrice, image), left: 0, top: 0 }])
+      .png()
+      .toFile(outputPath);
+
+    console.log(`[Zones] Zones chart saved: ${outputPath} (${zones.length} zones, last price ≈ ${formatPrice(lastPrice)}, ${calibration.source} ${calibration.scale} calibration)`);
+    return {
+      path: outputPath,
+      calibration,
+      lastPrice,
+      zones: zones.map(({ scenario, low, high }) => ({ scenario_id: scenario.scenario_id, low, high }))
+    };
+  }
+}
+
+export const zonesAnnotator = new ZonesAnnotator();
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for analysis validation (JSON Schema) and consistency checks
+ *
+ * Run with: npm run test:unit
+ * Cases start from the mock fixture (fixtures/analysis/default.json), which must stay valid.
+ */
+
+import fs from 'fs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkAnalysisConsistency, validateAnalysis } from './services/analysis-validator.js';
+
+const fixture = JSON.parse(fs.readFileSync(new URL('../fixtures/analysis/default.json', import.meta.url), 'utf-8'));
+
+/**
+ * Get a fresh copy of the fixture analysis
+ * @returns {Object} Analysis with layer1, layer2, layer3
+ */
+function makeAnalysis() {
+  return structuredClone(fixture);
+}
+
+test('the mock fixture passes the schema', () => {
+  assert.deepEqual(validateAnalysis(makeAnalysis()), { valid: true, errors: [], schemaVersion: 1 });
+});
+
+test('five scenarios are valid (no upper limit on scenarios)', () => {
+  const analysis = makeAnalysis();
+  const { scenarios } = analysis.layer2.scenario_analysis;
+  scenarios.push({ ...scenarios[3], scenario_id: '5', name: 'Lower Band Test', probability: 0.05 });
+  scenarios[0].probability = 0.45;
+  analysis.layer3.scenario_summary.push('5% — Test of the lower band (−30% to −20%)');
+
+  assert.deepEqual(validateAnalysis(analysis).errors, []);
+});
+
+test('errors use the JSON paths of FIELD_MAPPING.md', () => {
+  const analysis = makeAnalysis();
+  analysis.layer2.scenario_analysis.scenarios[0].probability = '0.5';
+  analysis.layer2.scenario_analysis.scenarios[2].expected_move_percent = [5];
+
+  const { valid, errors } = validateAnalysis(analysis);
+  assert.equal(valid, false);
+  assert.ok(errors.includes('layer2.scenario_analysis.scenarios[0].probability: must be number'), errors.join('\n'));
+  assert.ok(errors.includes('layer2.scenario_analysis.scenarios[2].expected_move_percent: must NOT have fewer than 2 items'), errors.join('\n'));
+});
+
+test('probability must lie between 0 and 1', () => {
+  const analysis = makeAnalysis();
+  analysis.layer2.scenario_analysis.scenarios[1].probability = 30;
+
+  const { valid, errors } = validateAnalysis(analysis);
+  assert.equal(valid, false);
+  assert.ok(errors.some(error => error.startsWith('layer2.scenario_analysis.scenarios[1].probability:')), errors.join('\n'));
+});
+
+test('missing layer1 fields and empty scenario lists fail', () => {
+  const analysis = makeAnalysis();
+  delete analysis.layer1.secular_regime_status;
+  analysis.layer2.scenario_analysis.scenarios = [];
+  analysis.layer3.scenario_summary = [];
+
+  const { valid, errors } = validateAnalysis(analysis);
+  assert.equal(valid, false);
+  assert.ok(errors.some(error => error.startsWith('layer1') && error.includes('secular_regime_status')), errors.join('\n'));
+  assert.ok(errors.some(error => error.startsWith('layer2.scenario_analysis.scenarios:')), errors.join('\n'));
+  assert.ok(errors.some(error => error.startsWith('layer3.scenario_summary:')), errors.join('\n'));
+});
+
+test('a consistent analysis has no warnings', () => {
+  assert.deepEqual(checkAnalysisConsistency(makeAnalysis(), '2025-11-28'), []);
+});
+
+test('five consistent scenarios have no warnings', () => {
+  const analysis = makeAnalysis();
+  const { scenarios } = analysis.layer2.scenario_analysis;
+  scenarios.push({ ...scenarios[3], scenario_id: '5', name: 'Lower Band Test', probability: 0.05 });
+  scenarios[0].probability = 0.45;
+  analysis.layer3.scenario_summary.push('5% — Test of the lower band (−30% to −20%)');
+
+  assert.deepEqual(checkAnalysisConsistency(analysis, '2025-11-28'), []);
+});
+
+test('probabilities must sum to 1 within the tolerance', () => {
+  const analysis = makeAnalysis();
+  const { scenarios } = analysis.layer2.scenario_analysis;
+
+  scenarios[0].probability = 0.51; // sum 1.01, inside ±0.02
+  assert.deepEqual(checkAnalysisConsistency(analysis, '2025-11-28'), []);
+
+  scenarios[0].probability = 0.6; // sum 1.1
+  assert.deepEqual(checkAnalysisConsistency(analysis, '2025-11-28'), [
+    'layer2.scenario_analysis.scenarios: probabilities sum to 1.1, expected 1 (±0.02)'
+  ]);
+});
+
+test('reversed move ranges and duplicate scenario IDs are reported by path', () => {
+  const analysis = makeAnalysis();
+  const { scenarios } = analysis.layer2.scenario_analysis;
+  scenarios[0].expected_move_percent = [-10, -18];
+  scenarios[3].scenario_id = 2; // same as "2" once stringified
+
+  assert.deepEqual(checkAnalysisConsistency(analysis, '2025-11-28'), [
+    'layer2.scenario_analysis.scenarios[0].expected_move_percent: min -10 is greater than max -18',
+    'layer2.scenario_analysis.scenarios[3].scenario_id: "2" duplicates layer2.scenario_analysis.scenarios[1]'
+  ]);
+});
+
+test('summary count and as-of date must match', () => {
+  const analysis = makeAnalysis();
+  analysis.layer3.scenario_summary.pop();
+
+  assert.deepEqual(checkAnalysisConsistency(analysis, '2025-12-01'), [
+    'layer3.scenario_summary: has 3 entries for 4 scenarios',
+    'layer1.asof_date: "2025-11-28" does not match requested date 2025-12-01'
+  ]);
+});
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for market-timezone date handling
+ *
+ * Run with: npm run test:date
+ * Every case passes an explicit instant, so results must not depend on the server timezone
+ * (try TZ=Asia/Taipei npm run test:date).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAsOfDate, getCurrentDate, getDateDaysAgo, getZonedDateTime, isDateFormat, isOlderThan } from './utils/date.js';
+import { addDays, getPreviousTradingDay, isTradingDay, listTradingDays } from './utils/market-calendar.js';
+
+const NY = 'America/New_York';
+
+test('getCurrentDate resolves the calendar date in the market timezone', () => {
+  // 2025-06-11 03:59 UTC is 23:59 EDT on 2025-06-10
+  assert.equal(getCurrentDate(new Date('2025-06-11T03:59:00Z'), NY), '2025-06-10');
+  // 2025-06-11 04:00 UTC is 00:00 EDT on 2025-06-11
+  assert.equal(getCurrentDate(new Date('2025-06-11T04:00:00Z'), NY), '2025-06-11');
+  // A Taiwan runner at 06:00 on 2025-06-11 is still on 2025-06-10 in New York
+  assert.equal(getCurrentDate(new Date('2025-06-11T06:00:00+08:00'), NY), '2025-06-10');
+});
+
+test('midnight boundary uses the EST offset in winter', () => {
+  // 2025-01-15 04:59 UTC is 23:59 EST on 2025-01-14
+  assert.equal(getCurrentDate(new Date('2025-01-15T04:59:00Z'), NY), '2025-01-14');
+  assert.equal(getCurrentDate(new Date('2025-01-15T05:00:00Z'), NY), '2025-01-15');
+});
+
+test('spring-forward DST change (2025-03-09)', () => {
+  // 06:59 UTC is 01:59 EST, 07:00 UTC jumps to 03:00 EDT
+  assert.deepEqual(getZonedDateTime(NY, new Date('2025-03-09T06:59:00Z')), { date: '2025-03-09', time: '01:59' });
+  assert.deepEqual(getZonedDateTime(NY, new Date('2025-03-09T07:00:00Z')), { date: '2025-03-09', time: '03:00' });
+  // Midnight after the change is at 04:00 UTC, not 05:00 UTC
+  assert.equal(getCurrentDate(new Date('2025-03-10T03:59:00Z'), NY), '2025-03-09');
+  assert.equal(getCurrentDate(new Date('2025-03-10T04:00:00Z'), NY), '2025-03-10');
+});
+
+test('fall-back DST change (2025-11-02)', () => {
+  // 05:30 UTC is 01:30 EDT, 06:30 UTC is the repeated 01:30 EST
+  assert.deepEqual(getZonedDateTime(NY, new Date('2025-11-02T05:30:00Z')), { date: '2025-11-02', time: '01:30' });
+  assert.deepEqual(getZonedDateTime(NY, new Date('2025-11-02T06:30:00Z')), { date: '2025-11-02', time: '01:30' });
+  // Midnight after the change is at 05:00 UTC
+  assert.equal(getCurrentDate(new Date('2025-11-03T04:59:00Z'), NY), '2025-11-02');
+  assert.equal(getCurrentDate(new Date('2025-11-03T05:00:00Z'), NY), '2025-11-03');
+});
+
+test('getAsOfDate returns today from the open and the previous trading day before it', () => {
+  // Wednesday 2025-06-11, 09:29 EDT (before the open)
+  assert.equal(getAsOfDate(new Date('2025-06-11T13:29:00Z'), NY), '2025-06-10');
+  // 09:30 EDT (open)
+  assert.equal(getAsOfDate(new Date('2025-06-11T13:30:00Z'), NY), '2025-06-11');
+  // 20:30 UTC, after the US close
+  assert.equal(getAsOfDate(new Date('2025-06-11T20:30:00Z'), NY), '2025-06-11');
+  // 23:59 EDT is still the same trading day
+  assert.equal(getAsOfDate(new Date('2025-06-12T03:59:00Z'), NY), '2025-06-11');
+});
+
+test('getAsOfDate skips weekends and holidays', () => {
+  // Saturday 2025-06-14 -> Friday 2025-06-13
+  assert.equal(getAsOfDate(new Date('2025-06-14T16:00:00Z'), NY), '2025-06-13');
+  // Monday 2025-06-16 at 06:00 Taiwan time (Sunday evening in New York) -> Friday
+  assert.equal(getAsOfDate(new Date('2025-06-16T06:00:00+08:00'), NY), '2025-06-13');
+  // Independence Day 2025-07-04 (Friday) -> Thursday 2025-07-03
+  assert.equal(getAsOfDate(new Date('2025-07-04T20:30:00Z'), NY), '2025-07-03');
+});
+
+test('getAsOfDate on the Monday after the spring-forward change', () => {
+  // 2025-03-10 13:30 UTC is 09:30 EDT (it would be 08:30 under EST)
+  assert.equal(getAsOfDate(new Date('2025-03-10T13:29:00Z'), NY), '2025-03-07');
+  assert.equal(getAsOfDate(new Date('2025-03-10T13:30:00Z'), NY), '2025-03-10');
+});
+
+test('calendar arithmetic crosses DST, month and year boundaries', () => {
+  assert.equal(addDays('2025-03-08', 1), '2025-03-09');
+  assert.equal(addDays('2025-03-09', 1), '2025-03-10');
+  assert.equal(addDays('2025-11-02', 1), '2025-11-03');
+  assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+  assert.equal(addDays('2025-01-01', -1), '2024-12-31');
+});
+
+test('relative dates are computed from the market date', () => {
+  assert.equal(getDateDaysAgo(0), getCurrentDate());
+  assert.equal(isOlderThan(getDateDaysAgo(31), 30), true);
+  assert.equal(isOlderThan(getDateDaysAgo(30), 30), false);
+});
+
+test('NYSE trading calendar', () => {
+  assert.equal(isTradingDay('2025-04-18'), false); // Good Friday
+  assert.equal(isTradingDay('2025-11-27'), false); // Thanksgiving
+  assert.equal(isTradingDay('2026-07-03'), false); // Independence Day observed
+  assert.equal(isTradingDay('2027-12-31'), true); // New Year's Day 2028 is a Saturday, not observed
+  assert.equal(isTradingDay('2025-06-14'), false); // Saturday
+  assert.equal(getPreviousTradingDay('2025-01-21'), '2025-01-17'); // Skips MLK Day
+  assert.deepEqual(listTradingDays('2025-12-24', '2025-12-29'), ['2025-12-24', '2025-12-26', '2025-12-29']);
+});
+
+test('isDateFormat accepts only real YYYY-MM-DD dates', () => {
+  assert.equal(isDateFormat('2025-06-10'), true);
+  assert.equal(isDateFormat('2024-02-29'), true); // leap year
+  assert.equal(isDateFormat('2025-02-29'), false);
+  assert.equal(isDateFormat('2025-02-31'), false);
+  assert.equal(isDateFormat('2025-04-31'), false);
+  assert.equal(isDateFormat('2025-13-01'), false);
+  assert.equal(isDateFormat('2025-00-10'), false);
+  assert.equal(isDateFormat('2025-06-00'), false);
+  assert.equal(isDateFormat('2025-6-10'), false);
+  assert.equal(isDateFormat('2025-06-10T00:00'), false);
+  assert.equal(isDateFormat(null), false);
+});
@@ -5,7 +5,7 @@
  */
 
 import { downloadChartWithRetry } from './services/tradingview.js';
-import { getCurrentDate } from './utils/date.js';
+import { getAsOfDate } from './utils/date.js';
 import { validateConfig } from './config.js';
 
 async function main() {
@@ -21,9 +21,9 @@ async function main() {
     console.log('[Test] Configuration valid ✓');
     console.log('');
 
-    // Get current date
-    const date = getCurrentDate();
-    console.log(`[Test] Current date: ${date}`);
+    // Get as-of trading date
+    const date = getAsOfDate();
+    console.log(`[Test] As-of date: ${date}`);
     console.log('');
 
     // Download chart
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the ensemble consensus merge
+ *
+ * Run with: npm run test:unit
+ * Members start from the mock fixture (fixtures/analysis/default.json). No API calls are made.
+ */
+
+import fs from 'fs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// ensemble.js loads the provider registry, which creates the database pool on import; the pool
+// only connects on the first query, which these tests never make
+process.env.DATABASE_URL ??= 'postgres://localhost/test-ensemble';
+const { mergeAnalyses } = await import('./services/ensemble.js');
+
+const fixture = JSON.parse(fs.readFileSync(new URL('../fixtures/analysis/default.json', import.meta.url), 'utf-8'));
+
+/**
+ * Build an ensemble member from the fixture
+ * @param {string} label - Member label
+ * @param {Function} [edit] - Receives the analysis copy to change
+ * @returns {Object} Member as passed to mergeAnalyses()
+ */
+function makeMember(label, edit = () => {}) {
+  const analysis = structuredClone(fixture);
+  edit(analysis);
+  return { label, provider: 'mock', model: label, analysis };
+}
+
+/**
+ * Set the scenario probabilities of an analysis, in fixture order
+ * @param {Object} analysis - Analysis
+ * @param {number[]} probabilities - One probability per scenario
+ */
+function setProbabilities(analysis, probabilities) {
+  analysis.layer2.scenario_analysis.scenarios.forEach((scenario, index) => {
+    scenario.probability = probabilities[index];
+  });
+}
+
+test('an empty ensemble cannot be merged', () => {
+  assert.throws(() => mergeAnalyses([], '2025-11-28'), /empty ensemble/);
+});
+
+test('a single member is its own consensus', () => {
+  const merged = mergeAnalyses([makeMember('a')], '2025-11-28');
+
+  assert.deepEqual(
+    merged.layer2.scenario_analysis.scenarios.map(s => [s.scenario_id, s.probability, s.expected_move_percent]),
+    [['1', 0.5, [-18, -10]], ['2', 0.3, [-5, 5]], ['3', 0.12, [5, 15]], ['4', 0.08, [-35, -25]]]
+  );
+  assert.equal(merged.disagreement_score, 0);
+  assert.equal(merged.ensemble.representative, 'a');
+  assert.equal(merged.layer3.scenario_summary[0], '50% — Midline Reversion (-18% to -10%)');
+});
+
+test('probabilities are averaged over every scenario any member reported', () => {
+  const a = makeMember('a');
+  const b = makeMember('b', analysis => {
+    const { scenarios } = analysis.layer2.scenario_analysis;
+    setProbabilities(analysis, [0.2, 0.6, 0.12, 0.03]);
+    scenarios[0].expected_move_percent = [-20, -12];
+    scenarios.push({ ...scenarios[3], scenario_id: '5', name: 'Lower Band Test', probability: 0.05, expected_move_percent: [-30, -20] });
+  });
+
+  const merged = mergeAnalyses([a, b], '2025-11-28');
+  const { scenarios } = merged.layer2.scenario_analysis;
+
+  // All five scenarios survive, most likely first; a member without a scenario counts as 0
+  assert.deepEqual(scenarios.map(s => [s.scenario_id, s.probability]), [
+    ['2', 0.45], ['1', 0.35], ['3', 0.12], ['4', 0.055], ['5', 0.025]
+  ]);
+  assert.equal(scenarios.reduce((sum, s) => sum + s.probability, 0).toFixed(4), '1.0000');
+  assert.equal(merged.layer3.scenario_summary.length, 5);
+
+  // Move ranges are averaged over the members that reported the scenario
+  assert.deepEqual(scenarios.find(s => s.scenario_id === '1').expected_move_percent, [-19, -11]);
+  assert.deepEqual(scenarios.find(s => s.scenario_id === '5').expected_move_percent, [-30, -20]);
+
+  // Each member is 0.175 (total variation) away from the average; the votes agree
+  assert.deepEqual(merged.ensemble.disagreement, {
+    score: 0.0583,
+    probabilities: 0.175,
+    secular_regime_status: 0,
+    overall_bias: 0
+  });
+});
+
+test('probabilities are renormalized when members do not sum to 1', () => {
+  const a = makeMember('a', analysis => setProbabilities(analysis, [0.6, 0.3, 0.2, 0.1]));
+
+  const merged = mergeAnalyses([a], '2025-11-28');
+  assert.deepEqual(merged.layer2.scenario_analysis.scenarios.map(s => s.probability), [0.5, 0.25, 0.1667, 0.0833]);
+});
+
+test('the majority regime wins and picks the representative member', () => {
+  const bear = analysis => {
+    analysis.layer1.secular_regime_status = 'Secular Bear';
+    analysis.layer3.primary_message = `Bear case from ${analysis.layer1.secular_regime_status}`;
+  };
+  const members = [
+    makeMember('a'),
+    makeMember('b', bear),
+    makeMember('c', analysis => {
+      bear(analysis);
+      analysis.layer1.secular_regime_status = 'secular bear.'; // same vote after normalization
+    })
+  ];
+
+  const merged = mergeAnalyses(members, '2025-12-01');
+
+  assert.equal(merged.layer1.secular_regime_status, 'Secular Bear');
+  assert.equal(merged.layer1.asof_date, '2025-12-01');
+  assert.equal(merged.ensemble.representative, 'b');
+  assert.equal(merged.layer3.primary_message, 'Bear case from Secular Bear');
+  assert.deepEqual(merged.ensemble.votes.secular_regime_status, { 'Active Secular Bull': 1, 'Secular Bear': 2 });
+  assert.equal(merged.ensemble.disagreement.secular_regime_status, 0.3333);
+  assert.deepEqual(merged.ensemble.members.map(member => [member.label, member.status]), [
+    ['a', 'succeeded'], ['b', 'succeeded'], ['c', 'succeeded']
+  ]);
+});
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for scenario target zones and price-axis calibration
+ *
+ * Run with: npm run test:unit
+ * Tick-label detection runs on a synthetic chart written to a temporary folder.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from './config.js';
+import { computeZones } from './services/zones-annotator.js';
+import { calibratePriceAxis, fitCalibration, priceToY, yToPrice } from './utils/price-axis.js';
+
+/**
+ * Assert that two numbers are equal within a tolerance
+ * @param {number} actual - Actual value
+ * @param {number} expected - Expected value
+ * @param {number} [tolerance=1e-6] - Largest allowed difference
+ */
+function assertClose(actual, expected, tolerance = 1e-6) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected} ± ${tolerance}, got ${actual}`);
+}
+
+test('computeZones turns move ranges into price ranges around the last price', () => {
+  const scenarios = [
+    { scenario_id: '1', probability: 0.5, expected_move_percent: [-18, -10] },
+    { scenario_id: '2', probability: 0.3, expected_move_percent: [5, -5] }, // reversed range
+    { scenario_id: '3', probability: 0.2, expected_move_percent: [10, 10] }
+  ];
+
+  const zones = computeZones(scenarios, 6000);
+
+  assert.equal(zones.length, 3);
+  assert.equal(zones[0].scenario, scenarios[0]);
+  assertClose(zones[0].low, 4920);
+  assertClose(zones[0].high, 5400);
+  assertClose(zones[1].low, 5700);
+  assertClose(zones[1].high, 6300);
+  assertClose(zones[2].low, 6600);
+  assertClose(zones[2].high, 6600);
+});
+
+test('fitCalibration fits a log axis exactly through its points', () => {
+  // 10x per 100px, 1000 at the top
+  const calibration = fitCalibration([{ y: 50, price: 1000 }, { y: 150, price: 100 }, { y: 250, price: 10 }], 'log');
+
+  assert.equal(calibration.scale, 'log');
+  assertClose(calibration.slope, -100);
+  assertClose(calibration.intercept, 350);
+  assert.equal(calibration.residual, 0);
+
+  assertClose(priceToY(calibration, 1000), 50);
+  assertClose(priceToY(calibration, Math.sqrt(10) * 100), 100); // log midpoint
+  assertClose(yToPrice(calibration, 200), Math.sqrt(10) * 10, 1e-9);
+});
+
+test('fitCalibration fits a linear axis and reports the RMS error', () => {
+  const calibration = fitCalibration([{ y: 0, price: 200 }, { y: 100, price: 100 }, { y: 201, price: 0 }], 'linear');
+
+  assert.equal(calibration.scale, 'linear');
+  assertClose(calibration.slope, -1.005, 1e-9);
+  assert.ok(calibration.residual > 0 && calibration.residual < 1, `residual ${calibration.residual}`);
+
+  // priceToY and yToPrice are inverses
+  for (const price of [-50, 0, 37.5, 150, 400]) {
+    assertClose(yToPrice(calibration, priceToY(calibration, price)), price, 1e-9);
+  }
+});
+
+test('fitCalibration needs two points with different prices', () => {
+  assert.throws(() => fitCalibration([{ y: 10, price: 100 }], 'log'), /at least 2 points/);
+  assert.throws(() => fitCalibration([{ y: 10, price: 100 }, { y: 20, price: 100 }], 'log'), /different prices/);
+});
+
+test('calibratePriceAxis matches detected tick labels to the configured ticks', async t => {
+  const width = 400;
+  const height = 300;
+  const stripLeft = width - config.priceAxis.stripRight - config.priceAxis.stripWidth;
+
+  // White chart with a faint gridline across the plot and a dark tick label in the axis strip
+  // at rows 50, 150 and 250
+  const shapes = [50, 150, 250].map(row =>
+    `<rect x="0" y="${row}" width="${stripLeft}" height="1" fill="#e6e6e6"/>` +
+    `<rect x="${stripLeft + 10}" y="${row - 4}" width="30" height="9" fill="#000"/>`
+  ).join('');
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<rect width="100%" height="100%" fill="#fff"/>${shapes}</svg>`;
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-axis-'));
+  const imagePath = path.join(dir, 'chart.png');
+  await sharp(Buffer.from(svg)).png().toFile(imagePath);
+
+  const { points, ticks, scale } = config.priceAxis;
+  t.after(() => {
+    Object.assign(config.priceAxis, { points, ticks, scale });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  Object.assign(config.priceAxis, { points: [], ticks: [1000, 100, 10], scale: 'log' });
+
+  const calibration = await calibratePriceAxis(imagePath);
+
+  assert.equal(calibration.source, 'detected');
+  assert.deepEqual(calibration.gridlines, [50, 150, 250]);
+  assert.deepEqual(calibration.labels, [50, 150, 250]);
+  assertClose(priceToY(calibration, 1000), 50);
+  assertClose(priceToY(calibration, 10), 250);
+
+  // More ticks than labels cannot be matched
+  config.priceAxis.ticks = [10000, 1000, 100, 10];
+  await assert.rejects(calibratePriceAxis(imagePath), /fewer than the 4 values/);
+});
+
+test('calibratePriceAxis prefers configured points', async () => {
+  const { points } = config.priceAxis;
+  config.priceAxis.points = [{ y: 20, price: 5000 }, { y: 220, price: 500 }];
+
+  try {
+    const calibration = await calibratePriceAxis('/nonexistent.png');
+    assert.equal(calibration.source, 'config');
+    assertClose(priceToY(calibration, 5000), 20);
+  } finally {
+    config.priceAxis.points = points;
+  }
+});
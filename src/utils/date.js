@@ -1,38 +1,94 @@
+import { config } from '../config.js';
+import { addDays, getPreviousTradingDay, isTradingDay } from './market-calendar.js';
+
 /**
  * Date utility functions
  * Following the pattern from cyclescope-downloader
+ *
+ * Every calendar date in the service (storage folders, asof_date, API dates) is resolved
+ * in the market timezone (config.market.timezone, America/New_York by default), never in
+ * server local time or UTC.
  */
 
 /**
- * Get current date in YYYY-MM-DD format
+ * Get the wall-clock date and time in a specific timezone
+ * @param {string} timeZone - IANA timezone (e.g. America/New_York)
  * @param {Date} [date] - Optional date object, defaults to current date
+ * @returns {{date: string, time: string}} Date in YYYY-MM-DD and time in HH:MM format
+ */
+export function getZonedDateTime(timeZone, date = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    })
+      .formatToParts(date)
+      .map(part => [part.type, part.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+/**
+ * Get current date in YYYY-MM-DD format, in the market timezone
+ * @param {Date} [date] - Optional date object, defaults to current date
+ * @param {string} [timeZone] - IANA timezone, defaults to config.market.timezone
  * @returns {string} Date string in YYYY-MM-DD format
  */
-export function getCurrentDate(date = new Date()) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+export function getCurrentDate(date = new Date(), timeZone = config.market.timezone) {
+  return getZonedDateTime(timeZone, date).date;
 }
 
 /**
- * Get date N days ago in YYYY-MM-DD format
+ * Get the as-of trading date: the trading day whose data the live chart shows
+ * Before the session opens (or on a weekend/holiday) this is the previous trading day;
+ * from the open onwards it is today.
+ * @param {Date} [date] - Optional date object, defaults to current date
+ * @param {string} [timeZone] - IANA timezone, defaults to config.market.timezone
+ * @returns {string} Date string in YYYY-MM-DD format
+ */
+export function getAsOfDate(date = new Date(), timeZone = config.market.timezone) {
+  const { date: marketDate, time } = getZonedDateTime(timeZone, date);
+
+  if (isTradingDay(marketDate) && time >= config.market.openTime) {
+    return marketDate;
+  }
+
+  return getPreviousTradingDay(marketDate);
+}
+
+/**
+ * Get date N days ago in YYYY-MM-DD format, in the market timezone
  * @param {number} daysAgo - Number of days ago
  * @returns {string} Date string in YYYY-MM-DD format
  */
 export function getDateDaysAgo(daysAgo) {
-  const date = new Date();
-  date.setDate(date.getDate() - daysAgo);
-  return getCurrentDate(date);
+  return addDays(getCurrentDate(), -daysAgo);
 }
 
 /**
- * Check if a string matches the YYYY-MM-DD format
+ * Check if a string is a real calendar date in YYYY-MM-DD format
+ * Impossible dates such as 2025-02-31 or 2025-13-01 are rejected.
  * @param {string} str - String to check
- * @returns {boolean} True if matches date format
+ * @returns {boolean} True if matches date format and the date exists
  */
 export function isDateFormat(str) {
-  return /^\d{4}-\d{2}-\d{2}$/.test(str);
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(str);
+  if (!match) {
+    return false;
+  }
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
 }
 
 /**
@@ -52,10 +108,7 @@ export function parseDate(dateStr) {
  * @returns {boolean} True if date is older than N days
  */
 export function isOlderThan(dateStr, days) {
-  const date = parseDate(dateStr);
-  const cutoffDate = new Date();
-  cutoffDate.setDate(cutoffDate.getDate() - days);
-  return date < cutoffDate;
+  return dateStr < getDateDaysAgo(days);
 }
 
 /**
@@ -66,9 +119,14 @@ export function getTimestamp() {
   return new Date().toISOString();
 }
 
+export { addDays };
+
 export default {
+  getZonedDateTime,
   getCurrentDate,
+  getAsOfDate,
   getDateDaysAgo,
+  addDays,
   isDateFormat,
   parseDate,
   isOlderThan,
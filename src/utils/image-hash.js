@@ -0,0 +1,54 @@
+import sharp from 'sharp';
+
+/**
+ * Perceptual image hashing
+ *
+ * Difference hash (dHash): the image is reduced to 9x8 grayscale and each bit records whether
+ * a pixel is brighter than its right neighbour. Similar images give hashes a few bits apart,
+ * regardless of small rendering differences.
+ */
+
+/**
+ * Compute the 64-bit difference hash of an image
+ * @param {string|Buffer} input - Image path or buffer
+ * @returns {Promise<string>} Hash as 16 hex characters
+ */
+export async function computeImageHash(input) {
+  const data = await sharp(input)
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const left = data[row * 9 + col];
+      const right = data[row * 9 + col + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Count differing bits between two hashes
+ * @param {string} a - Hash as hex
+ * @param {string} b - Hash as hex
+ * @returns {number} Hamming distance (0-64)
+ */
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+export default {
+  computeImageHash,
+  hammingDistance
+};
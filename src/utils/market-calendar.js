@@ -0,0 +1,196 @@
+/**
+ * US market (NYSE) trading calendar
+ *
+ * Computes exchange holidays from rules, so no yearly holiday list has to be maintained.
+ * All dates are plain calendar dates in YYYY-MM-DD format; arithmetic is done in UTC
+ * so the server timezone never shifts a day.
+ */
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ * @param {Date} date - Date whose UTC fields hold the calendar date
+ * @returns {string} Date string in YYYY-MM-DD format
+ */
+function formatUTCDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Parse YYYY-MM-DD into a UTC midnight Date
+ * @param {string} dateStr - Date string in YYYY-MM-DD format
+ * @returns {Date} Date at 00:00 UTC
+ */
+function parseUTCDate(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} dateStr - Date string in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date string in YYYY-MM-DD format
+ */
+export function addDays(dateStr, days) {
+  const date = parseUTCDate(dateStr);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatUTCDate(date);
+}
+
+/**
+ * Get the Nth weekday of a month (e.g. 3rd Monday of January)
+ * @param {number} year - Full year
+ * @param {number} month - Month (0-11)
+ * @param {number} weekday - Day of week (0 = Sunday)
+ * @param {number} n - Occurrence (1-based), or -1 for the last occurrence
+ * @returns {Date} UTC date
+ */
+function nthWeekday(year, month, weekday, n) {
+  if (n === -1) {
+    const last = new Date(Date.UTC(year, month + 1, 0));
+    const offset = (last.getUTCDay() - weekday + 7) % 7;
+    return new Date(Date.UTC(year, month, last.getUTCDate() - offset));
+  }
+
+  const first = new Date(Date.UTC(year, month, 1));
+  const offset = (weekday - first.getUTCDay() + 7) % 7;
+  return new Date(Date.UTC(year, month, 1 + offset + (n - 1) * 7));
+}
+
+/**
+ * Get Easter Sunday (Gregorian, anonymous algorithm)
+ * @param {number} year - Full year
+ * @returns {Date} UTC date
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Shift a fixed-date holiday to its observed weekday
+ * Saturday holidays are observed on Friday, Sunday holidays on Monday.
+ * @param {Date} date - UTC date
+ * @returns {Date} Observed UTC date
+ */
+function observed(date) {
+  const day = date.getUTCDay();
+  if (day === 6) {
+    return new Date(date.getTime() - 86400000);
+  }
+  if (day === 0) {
+    return new Date(date.getTime() + 86400000);
+  }
+  return date;
+}
+
+/**
+ * Get NYSE full-day holidays for a year
+ * @param {number} year - Full year
+ * @returns {Map<string, string>} Map of YYYY-MM-DD to holiday name
+ */
+export function getNyseHolidays(year) {
+  const holidays = new Map();
+  const add = (date, name) => holidays.set(formatUTCDate(date), name);
+
+  // NYSE does not close on Friday Dec 31 when New Year's Day falls on a Saturday
+  const newYear = new Date(Date.UTC(year, 0, 1));
+  if (newYear.getUTCDay() !== 6) {
+    add(observed(newYear), "New Year's Day");
+  }
+
+  add(nthWeekday(year, 0, 1, 3), 'Martin Luther King Jr. Day');
+  add(nthWeekday(year, 1, 1, 3), "Washington's Birthday");
+
+  const goodFriday = easterSunday(year);
+  goodFriday.setUTCDate(goodFriday.getUTCDate() - 2);
+  add(goodFriday, 'Good Friday');
+
+  add(nthWeekday(year, 4, 1, -1), 'Memorial Day');
+
+  if (year >= 2022) {
+    add(observed(new Date(Date.UTC(year, 5, 19))), 'Juneteenth National Independence Day');
+  }
+
+  add(observed(new Date(Date.UTC(year, 6, 4))), 'Independence Day');
+  add(nthWeekday(year, 8, 1, 1), 'Labor Day');
+  add(nthWeekday(year, 10, 4, 4), 'Thanksgiving Day');
+  add(observed(new Date(Date.UTC(year, 11, 25))), 'Christmas Day');
+
+  return holidays;
+}
+
+/**
+ * Get the holiday name for a date, if the exchange is closed for a holiday
+ * @param {string} dateStr - Date string in YYYY-MM-DD format
+ * @returns {string|null} Holiday name or null
+ */
+export function getHolidayName(dateStr) {
+  const year = Number(dateStr.slice(0, 4));
+  // Observed New Year's Day can fall in the previous year, so check the next year too
+  return getNyseHolidays(year).get(dateStr) || getNyseHolidays(year + 1).get(dateStr) || null;
+}
+
+/**
+ * Check whether a date is a NYSE trading day
+ * @param {string} dateStr - Date string in YYYY-MM-DD format
+ * @returns {boolean} True if the exchange is open
+ */
+export function isTradingDay(dateStr) {
+  const day = parseUTCDate(dateStr).getUTCDay();
+  if (day === 0 || day === 6) {
+    return false;
+  }
+  return getHolidayName(dateStr) === null;
+}
+
+/**
+ * Get the most recent trading day strictly before a date
+ * @param {string} dateStr - Date string in YYYY-MM-DD format
+ * @returns {string} Date string in YYYY-MM-DD format
+ */
+export function getPreviousTradingDay(dateStr) {
+  let date = addDays(dateStr, -1);
+  while (!isTradingDay(date)) {
+    date = addDays(date, -1);
+  }
+  return date;
+}
+
+/**
+ * List trading days in an inclusive date range
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {string[]} Trading days in ascending order
+ */
+export function listTradingDays(from, to) {
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (isTradingDay(date)) {
+      days.push(date);
+    }
+  }
+  return days;
+}
+
+export default {
+  addDays,
+  getNyseHolidays,
+  getHolidayName,
+  isTradingDay,
+  getPreviousTradingDay,
+  listTradingDays
+};
@@ -0,0 +1,384 @@
+import sharp from 'sharp';
+import { config } from '../config.js';
+
+/**
+ * Price-axis calibration
+ *
+ * Maps pixel rows of a chart image to prices. The mapping is a least-squares fit of
+ * y = slope * t + intercept, where t is log10(price) on a log chart and the price itself on a
+ * linear one. Its points come from config.priceAxis.points, or from tick labels detected in
+ * the axis strip: each label's centre (snapped to the nearest horizontal gridline) is paired
+ * with a configured tick value. Label text is not read, so the tick values must be configured.
+ */
+
+// Greyscale difference from the background for a pixel to count as text or plotted data
+const INK_THRESHOLD = 80;
+// Greyscale difference range of a faint gridline pixel
+const GRID_MIN_DIFF = 6;
+const GRID_MAX_DIFF = 120;
+// Share of a row's plot pixels on a gridline for the row to count as one
+const GRID_ROW_RATIO = 0.4;
+// Height range in px of a tick label
+const LABEL_MIN_HEIGHT = 5;
+const LABEL_MAX_HEIGHT = 24;
+// Horizontal ink runs at least this long are boxes or lines, not the price series
+const SERIES_MAX_RUN = 24;
+// Grid used to group price-series pixels into connected parts
+const SERIES_CELL_SIZE = 6;
+
+/**
+ * Median of the values in a byte buffer range (the background level)
+ * @param {Buffer} pixels - Greyscale pixels
+ * @param {number} width - Image width
+ * @param {{left: number, top: number, width: number, height: number}} region - Region to sample
+ * @returns {number} Median value (0-255)
+ */
+function medianLevel(pixels, width, region) {
+  const histogram = new Array(256).fill(0);
+  for (let y = region.top; y < region.top + region.height; y++) {
+    for (let x = region.left; x < region.left + region.width; x++) {
+      histogram[pixels[y * width + x]]++;
+    }
+  }
+
+  const half = (region.width * region.height) / 2;
+  let seen = 0;
+  for (let level = 0; level < 256; level++) {
+    seen += histogram[level];
+    if (seen >= half) {
+      return level;
+    }
+  }
+  return 255;
+}
+
+/**
+ * Group consecutive row indices into runs
+ * @param {number[]} rows - Sorted row indices
+ * @param {number} maxGap - Largest gap inside one run
+ * @returns {Array<{top: number, bottom: number}>} Runs
+ */
+function groupRows(rows, maxGap) {
+  const runs = [];
+  for (const row of rows) {
+    const last = runs[runs.length - 1];
+    if (last && row - last.bottom <= maxGap + 1) {
+      last.bottom = row;
+    } else {
+      runs.push({ top: row, bottom: row });
+    }
+  }
+  return runs;
+}
+
+/**
+ * Get the axis label strip and the plot area left of it
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {{strip: Object, plot: Object}} Regions as {left, top, width, height}
+ */
+function getRegions(width, height) {
+  const stripLeft = Math.max(width - config.priceAxis.stripRight - config.priceAxis.stripWidth, 1);
+  const stripWidth = Math.min(config.priceAxis.stripWidth, width - stripLeft);
+
+  return {
+    strip: { left: stripLeft, top: 0, width: stripWidth, height },
+    plot: { left: 0, top: 0, width: stripLeft, height }
+  };
+}
+
+/**
+ * Detect tick label centres in the axis strip
+ * Rows where most of the strip differs from the background (highlighted price tags) are skipped.
+ * @param {Buffer} pixels - Greyscale pixels
+ * @param {number} width - Image width
+ * @param {Object} strip - Axis strip region
+ * @returns {number[]} Label centre rows, top to bottom
+ */
+export function detectTickLabels(pixels, width, strip) {
+  const background = medianLevel(pixels, width, strip);
+  const rows = [];
+
+  for (let y = strip.top; y < strip.top + strip.height; y++) {
+    let ink = 0;
+    for (let x = strip.left; x < strip.left + strip.width; x++) {
+      if (Math.abs(pixels[y * width + x] - background) > INK_THRESHOLD) {
+        ink++;
+      }
+    }
+    if (ink >= 2 && ink < strip.width * 0.6) {
+      rows.push(y);
+    }
+  }
+
+  return groupRows(rows, 1)
+    .filter(run => {
+      const height = run.bottom - run.top + 1;
+      return height >= LABEL_MIN_HEIGHT && height <= LABEL_MAX_HEIGHT;
+    })
+    .map(run => (run.top + run.bottom) / 2);
+}
+
+/**
+ * Detect horizontal gridlines in the plot area
+ * @param {Buffer} pixels - Greyscale pixels
+ * @param {number} width - Image width
+ * @param {Object} plot - Plot region
+ * @returns {number[]} Gridline rows, top to bottom
+ */
+export function detectGridlines(pixels, width, plot) {
+  const background = medianLevel(pixels, width, plot);
+  const rows = [];
+
+  for (let y = plot.top; y < plot.top + plot.height; y++) {
+    let grid = 0;
+    for (let x = plot.left; x < plot.left + plot.width; x++) {
+      const diff = Math.abs(pixels[y * width + x] - background);
+      if (diff >= GRID_MIN_DIFF && diff <= GRID_MAX_DIFF) {
+        grid++;
+      }
+    }
+    if (grid >= plot.width * GRID_ROW_RATIO) {
+      rows.push(y);
+    }
+  }
+
+  // Gridlines are thin; taller runs are filled areas or borders
+  return groupRows(rows, 0)
+    .filter(run => run.bottom - run.top < 3)
+    .map(run => (run.top + run.bottom) / 2);
+}
+
+/**
+ * Fit a calibration to (y, price) points
+ * @param {Array<{y: number, price: number}>} points - At least 2 points with distinct prices
+ * @param {string} [scale] - 'log' or 'linear' (default config.priceAxis.scale)
+ * @returns {{scale: string, slope: number, intercept: number, residual: number, points: Object[]}} Calibration; residual is the RMS error in px
+ */
+export function fitCalibration(points, scale = config.priceAxis.scale) {
+  if (points.length < 2) {
+    throw new Error(`Price-axis calibration needs at least 2 points (got ${points.length})`);
+  }
+
+  const transform = price => (scale === 'log' ? Math.log10(price) : price);
+  const ts = points.map(point => transform(point.price));
+  const ys = points.map(point => point.y);
+  const meanT = ts.reduce((sum, t) => sum + t, 0) / ts.length;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+  const varT = ts.reduce((sum, t) => sum + (t - meanT) ** 2, 0);
+
+  if (varT === 0) {
+    throw new Error('Price-axis calibration points must have different prices');
+  }
+
+  const slope = ts.reduce((sum, t, i) => sum + (t - meanT) * (ys[i] - meanY), 0) / varT;
+  const intercept = meanY - slope * meanT;
+  const residual = Math.sqrt(ts.reduce((sum, t, i) => sum + (slope * t + intercept - ys[i]) ** 2, 0) / ts.length);
+
+  return { scale, slope, intercept, residual: Math.round(residual * 100) / 100, points };
+}
+
+/**
+ * Convert a price to a pixel row
+ * @param {Object} calibration - Result of fitCalibration()
+ * @param {number} price - Price
+ * @returns {number} Row (may lie outside the image)
+ */
+export function priceToY(calibration, price) {
+  const t = calibration.scale === 'log' ? Math.log10(price) : price;
+  return calibration.slope * t + calibration.intercept;
+}
+
+/**
+ * Convert a pixel row to a price
+ * @param {Object} calibration - Result of fitCalibration()
+ * @param {number} y - Row
+ * @returns {number} Price
+ */
+export function yToPrice(calibration, y) {
+  const t = (y - calibration.intercept) / calibration.slope;
+  return calibration.scale === 'log' ? 10 ** t : t;
+}
+
+/**
+ * Pair detected label rows with tick values
+ * Every run of consecutive labels as long as the tick list is tried; the best fit wins.
+ * @param {number[]} labels - Label rows, top to bottom
+ * @param {number[]} ticks - Tick values, top to bottom
+ * @returns {Object|null} Best calibration, or null if there are fewer labels than ticks
+ */
+function matchTicks(labels, ticks) {
+  let best = null;
+
+  for (let offset = 0; offset + ticks.length <= labels.length; offset++) {
+    const points = ticks.map((price, index) => ({ y: labels[offset + index], price }));
+    const calibration = fitCalibration(points);
+    if (calibration.slope < 0 && (!best || calibration.residual < best.residual)) {
+      best = calibration;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Calibrate the price axis of a chart image
+ * @param {string} imagePath - Chart PNG
+ * @returns {Promise<Object>} Calibration (see fitCalibration) with source 'config' or 'detected', plus the detected labels and gridlines
+ */
+export async function calibratePriceAxis(imagePath) {
+  const { points, ticks, maxResidual, gridlineSnap } = config.priceAxis;
+
+  if (points.length >= 2) {
+    return { ...fitCalibration(points), source: 'config' };
+  }
+
+  if (ticks.length < 2) {
+    throw new Error('No price-axis calibration: set PRICE_AXIS_POINTS, or PRICE_AXIS_TICKS to match detected tick labels');
+  }
+
+  const { data, info } = await sharp(imagePath).greyscale().raw().toBuffer({ resolveWithObject: true });
+  const { strip, plot } = getRegions(info.width, info.height);
+  const gridlines = detectGridlines(data, info.width, plot);
+
+  // Gridline rows are more precise than text centres
+  const labels = detectTickLabels(data, info.width, strip).map(label => {
+    const nearest = gridlines.reduce((best, line) => (Math.abs(line - label) < Math.abs(best - label) ? line : best), Infinity);
+    return Math.abs(nearest - label) <= gridlineSnap ? nearest : label;
+  });
+
+  const calibration = matchTicks(labels, ticks);
+  if (!calibration) {
+    throw new Error(`Found ${labels.length} tick labels in the axis strip, fewer than the ${ticks.length} values in PRICE_AXIS_TICKS`);
+  }
+  if (calibration.residual > maxResidual) {
+    throw new Error(`Detected tick labels do not fit a ${calibration.scale} axis (RMS error ${calibration.residual}px, max ${maxResidual}px)`);
+  }
+
+  console.log(`[PriceAxis] Calibrated ${calibration.scale} axis from ${ticks.length} of ${labels.length} tick labels (${gridlines.length} gridlines, RMS error ${calibration.residual}px)`);
+  return { ...calibration, source: 'detected', labels, gridlines };
+}
+
+/**
+ * Estimate the last plotted price
+ * The price series is taken to be the largest connected group of ink in the plot, ignoring
+ * horizontal lines, wide boxes (price tags) and columns inked over half their height (borders,
+ * cursor lines). The centre of its rightmost column is converted through the calibration.
+ * @param {string} imagePath - Chart PNG
+ * @param {Object} calibration - Result of calibratePriceAxis()
+ * @returns {Promise<number|null>} Price, or null if the plot has no ink
+ */
+export async function detectLastPrice(imagePath, calibration) {
+  const { data, info } = await sharp(imagePath).greyscale().raw().toBuffer({ resolveWithObject: true });
+  const { plot } = getRegions(info.width, info.height);
+  const background = medianLevel(data, info.width, plot);
+  const mask = new Uint8Array(plot.width * plot.height);
+
+  for (let y = 0; y < plot.height; y++) {
+    const row = (plot.top + y) * info.width + plot.left;
+    let total = 0;
+    let runStart = -1;
+    for (let x = 0; x <= plot.width; x++) {
+      const ink = x < plot.width && Math.abs(data[row + x] - background) > INK_THRESHOLD;
+      if (ink && runStart < 0) {
+        runStart = x;
+      } else if (!ink && runStart >= 0) {
+        if (x - runStart < SERIES_MAX_RUN) {
+          mask.fill(1, y * plot.width + runStart, y * plot.width + x);
+          total += x - runStart;
+        }
+        runStart = -1;
+      }
+    }
+    // Dashed horizontal lines are made of short runs
+    if (total >= plot.width * 0.3) {
+      mask.fill(0, y * plot.width, (y + 1) * plot.width);
+    }
+  }
+
+  for (let x = 0; x < plot.width; x++) {
+    let total = 0;
+    for (let y = 0; y < plot.height; y++) {
+      total += mask[y * plot.width + x];
+    }
+    if (total >= plot.height / 2) {
+      for (let y = 0; y < plot.height; y++) {
+        mask[y * plot.width + x] = 0;
+      }
+    }
+  }
+
+  // Largest 8-connected component of occupied cells
+  const cols = Math.ceil(plot.width / SERIES_CELL_SIZE);
+  const rows = Math.ceil(plot.height / SERIES_CELL_SIZE);
+  const occupied = new Uint8Array(cols * rows);
+  for (let y = 0; y < plot.height; y++) {
+    for (let x = 0; x < plot.width; x++) {
+      if (mask[y * plot.width + x]) {
+        occupied[Math.floor(y / SERIES_CELL_SIZE) * cols + Math.floor(x / SERIES_CELL_SIZE)] = 1;
+      }
+    }
+  }
+
+  const seen = new Uint8Array(cols * rows);
+  let best = null;
+  for (let start = 0; start < occupied.length; start++) {
+    if (!occupied[start] || seen[start]) {
+      continue;
+    }
+
+    const stack = [start];
+    const cells = [];
+    seen[start] = 1;
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      cells.push(cell);
+      const col = cell % cols;
+      const row = Math.floor(cell / cols);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const c = col + dx;
+          const r = row + dy;
+          const next = r * cols + c;
+          if (c >= 0 && c < cols && r >= 0 && r < rows && occupied[next] && !seen[next]) {
+            seen[next] = 1;
+            stack.push(next);
+          }
+        }
+      }
+    }
+
+    if (!best || cells.length > best.length) {
+      best = cells;
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+
+  const inSeries = new Set(best);
+  for (let x = plot.width - 1; x >= 0; x--) {
+    const ys = [];
+    for (let y = 0; y < plot.height; y++) {
+      if (mask[y * plot.width + x] && inSeries.has(Math.floor(y / SERIES_CELL_SIZE) * cols + Math.floor(x / SERIES_CELL_SIZE))) {
+        ys.push(plot.top + y);
+      }
+    }
+    if (ys.length > 0) {
+      return yToPrice(calibration, ys[Math.floor(ys.length / 2)]);
+    }
+  }
+
+  return null;
+}
+
+export default {
+  calibratePriceAxis,
+  detectGridlines,
+  detectLastPrice,
+  detectTickLabels,
+  fitCalibration,
+  priceToY,
+  yToPrice
+};
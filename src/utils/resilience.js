@@ -0,0 +1,228 @@
+import { config } from '../config.js';
+import { getTimestamp } from './date.js';
+
+/**
+ * Resilience helpers for external AI calls (OpenAI, Gemini)
+ *
+ * callWithResilience() gives every call a timeout, retries transient failures (429, 5xx,
+ * timeouts, network errors) with exponential backoff and reports the outcome to a per-service
+ * circuit breaker. After config.resilience.failureThreshold failed calls in a row (transient
+ * or auth failures; other 4xx errors do not count) the circuit
+ * opens and calls fail fast until config.resilience.resetTimeout has passed; then one trial
+ * call decides whether it closes again. Circuit state is reported in /health.
+ *
+ * Calls that create something (uploads, runs, image generations) pass idempotent: false. They
+ * are only retried when the server refused the request outright (429, or 503 with Retry-After);
+ * after a timeout or network error the request may still have been applied and billed.
+ */
+
+const breakers = new Map();
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - Service name (e.g. "openai")
+   */
+  constructor(name) {
+    this.name = name;
+    this.state = 'closed'; // closed | open | half-open
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+  }
+
+  /**
+   * Throw if the circuit is open; move to half-open once the reset timeout has passed
+   */
+  assertCanRequest() {
+    if (this.state !== 'open') {
+      return;
+    }
+
+    const retryAt = this.openedAt + config.resilience.resetTimeout;
+    if (Date.now() < retryAt) {
+      throw new Error(`${this.name} circuit is open after ${this.consecutiveFailures} failed calls (last error: ${this.lastError}); retrying after ${new Date(retryAt).toISOString()}`);
+    }
+
+    console.log(`[Resilience] ${this.name}: circuit half-open, allowing a trial call`);
+    this.state = 'half-open';
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log(`[Resilience] ${this.name}: circuit closed`);
+    }
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastSuccessAt = getTimestamp();
+  }
+
+  /**
+   * @param {Error} error - Error of the failed call
+   */
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.lastError = error.message;
+    this.lastFailureAt = getTimestamp();
+
+    if (this.state === 'half-open' || this.consecutiveFailures >= config.resilience.failureThreshold) {
+      if (this.state !== 'open') {
+        console.error(`[Resilience] ${this.name}: circuit opened after ${this.consecutiveFailures} failed calls`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * @returns {Object} Circuit status for /health
+   */
+  getStatus() {
+    return {
+      healthy: this.state !== 'open',
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+      lastSuccessAt: this.lastSuccessAt,
+      retryAt: this.state === 'open'
+        ? new Date(this.openedAt + config.resilience.resetTimeout).toISOString()
+        : null
+    };
+  }
+}
+
+/**
+ * Get (or create) the circuit breaker for a service
+ * @param {string} name - Service name
+ * @returns {CircuitBreaker} Circuit breaker
+ */
+export function getCircuitBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name));
+  }
+  return breakers.get(name);
+}
+
+/**
+ * Get circuit breaker status, for /health
+ * @param {string[]} [names] - Services to report, defaults to every service called so far
+ * @returns {Object} Status by service name
+ */
+export function getCircuitStatus(names = [...breakers.keys()]) {
+  return Object.fromEntries(names.map(name => [name, getCircuitBreaker(name).getStatus()]));
+}
+
+/**
+ * Check whether an error is worth retrying
+ * @param {Error} error - Error thrown by the call
+ * @returns {boolean} True for 429, 5xx, timeouts and network errors
+ */
+export function isRetryableError(error) {
+  const status = error.status ?? error.code;
+
+  if (typeof status === 'number') {
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  return ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'].includes(error.code) ||
+    ['APIConnectionError', 'APIConnectionTimeoutError', 'FetchError'].includes(error.name) ||
+    /fetch failed|socket hang up|network/i.test(error.message);
+}
+
+/**
+ * Check whether an error shows the server refused the request without processing it
+ * @param {Error} error - Error thrown by the call
+ * @returns {boolean} True for 429, and for 503 with a Retry-After header
+ */
+export function isRejectedError(error) {
+  const status = error.status ?? error.code;
+  return status === 429 || (status === 503 && error.headers?.['retry-after'] !== undefined);
+}
+
+/**
+ * Get the delay before the next attempt, honouring a Retry-After header when present
+ * @param {Error} error - Error thrown by the call
+ * @param {number} attempt - Attempt that failed (0-based)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(error, attempt) {
+  const retryAfter = Number(error.headers?.['retry-after']);
+  const delay = Number.isFinite(retryAfter) && retryAfter > 0
+    ? retryAfter * 1000
+    : config.resilience.retryDelay * 2 ** attempt;
+
+  return Math.min(delay, config.resilience.maxRetryDelay);
+}
+
+/**
+ * Run an external call with a timeout, retries and a circuit breaker
+ * @param {string} service - Service name, one circuit breaker per service (e.g. "openai")
+ * @param {Function} fn - Call to make; receives an AbortSignal that fires on timeout
+ * @param {Object} [options] - Options
+ * @param {number} [options.timeout] - Per-attempt timeout in milliseconds
+ * @param {string} [options.label] - Call name for logs and errors
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {boolean} [options.idempotent=true] - False for calls that must not be repeated once
+ *   the server may have accepted them (only refused requests are retried, see isRejectedError)
+ * @returns {Promise<*>} Result of the call
+ */
+export async function callWithResilience(service, fn, {
+  timeout,
+  label = service,
+  retries = config.resilience.retries,
+  idempotent = true
+} = {}) {
+  const breaker = getCircuitBreaker(service);
+
+  for (let attempt = 0; ; attempt++) {
+    breaker.assertCanRequest();
+
+    const controller = new AbortController();
+    let timer = null;
+    const timedOut = new Promise((_, reject) => {
+      if (timeout) {
+        timer = setTimeout(() => {
+          const error = new Error(`${label} timed out after ${timeout}ms`);
+          error.code = 'ETIMEDOUT';
+          controller.abort(error);
+          reject(error);
+        }, timeout);
+      }
+    });
+
+    try {
+      const result = await Promise.race([fn(controller.signal), timedOut]);
+      breaker.recordSuccess();
+      return result;
+    } catch (caught) {
+      // Prefer the timeout error over the abort error the SDK throws in response to it
+      const error = controller.signal.aborted ? controller.signal.reason : caught;
+
+      if (attempt < retries && (idempotent ? isRetryableError(error) : isRejectedError(error))) {
+        const delay = getRetryDelay(error, attempt);
+        console.warn(`[Resilience] ${label} failed (${error.status || error.code || error.message}), retry ${attempt + 1}/${retries} in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        continue;
+      }
+
+      // Other 4xx errors mean the service is up but rejected this request
+      if (isRetryableError(error) || error.status === 401 || error.status === 403) {
+        breaker.recordFailure(error);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+export default {
+  callWithResilience,
+  getCircuitBreaker,
+  getCircuitStatus,
+  isRetryableError,
+  isRejectedError
+};
@@ -1,6 +1,6 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { getCurrentDate, isDateFormat, isOlderThan } from './date.js';
+import { getAsOfDate, isDateFormat, isOlderThan } from './date.js';
 import { config } from '../config.js';
 
 /**
@@ -18,10 +18,10 @@ export function getDataDir() {
 
 /**
  * Get the directory path for a specific date
- * @param {string} [date] - Date in YYYY-MM-DD format, defaults to current date
+ * @param {string} [date] - Date in YYYY-MM-DD format, defaults to the as-of trading date
  * @returns {string} Date directory path
  */
-export function getDateDir(date = getCurrentDate()) {
+export function getDateDir(date = getAsOfDate()) {
   return path.join(getDataDir(), date);
 }
 
@@ -42,10 +42,10 @@ export async function ensureDataDir() {
 
 /**
  * Ensure date directory exists for a specific date
- * @param {string} [date] - Date in YYYY-MM-DD format, defaults to current date
+ * @param {string} [date] - Date in YYYY-MM-DD format, defaults to the as-of trading date
  * @returns {Promise<string>} Path to the date directory
  */
-export async function ensureDateDir(date = getCurrentDate()) {
+export async function ensureDateDir(date = getAsOfDate()) {
   const dateDir = getDateDir(date);
   try {
     await fs.mkdir(dateDir, { recursive: true });
@@ -60,10 +60,10 @@ export async function ensureDateDir(date = getCurrentDate()) {
 /**
  * Get file path for a specific file in a date directory
  * @param {string} filename - File name
- * @param {string} [date] - Date in YYYY-MM-DD format, defaults to current date
+ * @param {string} [date] - Date in YYYY-MM-DD format, defaults to the as-of trading date
  * @returns {string} Full file path
  */
-export function getFilePath(filename, date = getCurrentDate()) {
+export function getFilePath(filename, date = getAsOfDate()) {
   return path.join(getDateDir(date), filename);
 }
 
@@ -71,14 +71,16 @@ export function getFilePath(filename, date = getCurrentDate()) {
  * Save file to date directory
  * @param {string} filename - File name
  * @param {Buffer|string} data - File data
- * @param {string} [date] - Date in YYYY-MM-DD format, defaults to current date
+ * @param {string} [date] - Date in YYYY-MM-DD format, defaults to the as-of trading date
  * @returns {Promise<string>} Path to saved file
  */
-export async function saveFile(filename, data, date = getCurrentDate()) {
+export async function saveFile(filename, data, date = getAsOfDate()) {
   await ensureDateDir(date);
   const filePath = getFilePath(filename, date);
   
   try {
+    // filename may include a subdirectory (e.g. rejected/stockcharts-1.png)
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
     await fs.writeFile(filePath, data);
     console.log(`[Storage] File saved: ${filePath}`);
     return filePath;
@@ -91,10 +93,10 @@ export async function saveFile(filename, data, date = getCurrentDate()) {
 /**
  * Read file from date directory
  * @param {string} filename - File name
- * @param {string} [date] - Date in YYYY-MM-DD format, defaults to current date
+ * @param {string} [date] - Date in YYYY-MM-DD format, defaults to the as-of trading date
  * @returns {Promise<Buffer>} File data
  */
-export async function readFile(filename, date = getCurrentDate()) {
+export async function readFile(filename, date = getAsOfDate()) {
   const filePath = getFilePath(filename, date);
   
   try {
@@ -110,10 +112,10 @@ export async function readFile(filename, date = getCurrentDate()) {
 /**
  * Check if file exists in date directory
  * @param {string} filename - File name
- * @param {string} [date] - Date in YYYY-MM-DD format, defaults to current date
+ * @param {string} [date] - Date in YYYY-MM-DD format, defaults to the as-of trading date
  * @returns {Promise<boolean>} True if file exists
  */
-export async function fileExists(filename, date = getCurrentDate()) {
+export async function fileExists(filename, date = getAsOfDate()) {
   const filePath = getFilePath(filename, date);
   
   try {